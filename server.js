@@ -13,12 +13,16 @@ const helmet = require('helmet');
 const fileUpload = require('express-fileupload');
 const bodyParser = require('body-parser');
 const rateLimit = require('express-rate-limit');
-const { setupSocketIO } = require('./src/services/socket.service');
+const { setupSocketIO, CORS_ORIGINS } = require('./src/services/socket.service');
 const { setupWhatsAppClient } = require('./src/services/whatsapp.service');
-const { initializeDataStorage } = require('./src/services/storage.service');
+const { setupJobQueue } = require('./src/services/queue.service');
+const { initializeDataStorage, closeDataStorage } = require('./src/services/storage.service');
+const { initializeAuth } = require('./src/services/auth.service');
 const { errorHandler } = require('./src/middleware/error.middleware');
 const { loggerMiddleware } = require('./src/middleware/logger.middleware');
+const { authenticate } = require('./src/middleware/auth.middleware');
 const apiRoutes = require('./src/routes/api.routes');
+const authRoutes = require('./src/routes/auth.routes');
 const logger = require('./src/utils/logger');
 
 // Set process title for better identification
@@ -35,9 +39,9 @@ const server = http.createServer(app);
 
 // Setup middleware
 app.use(helmet({ contentSecurityPolicy: false })); // Disable CSP for QR code generation
-app.use(cors());
+app.use(cors({ origin: CORS_ORIGINS, credentials: true })); // Same policy as the sockets
 app.use(loggerMiddleware);
-app.use(bodyParser.json());
+app.use(bodyParser.json({ limit: '5mb' })); // Large contact lists with imported details
 app.use(bodyParser.urlencoded({ extended: true }));
 app.use(express.static(path.join(__dirname, 'public')));
 app.use(fileUpload({
@@ -54,8 +58,16 @@ const limiter = rateLimit({
 });
 app.use('/api', limiter);
 
-// Initialize data storage
-initializeDataStorage();
+// Initialize data storage; starting without the stored data would lose it
+try {
+    initializeDataStorage();
+} catch (err) {
+    logger.error(`Could not initialize data storage: ${err.message}`);
+    process.exit(1);
+}
+
+// Create the first admin account if there are no users yet
+initializeAuth();
 
 // Socket.IO setup with comprehensive configuration for reliable connections
 const io = setupSocketIO(server);
@@ -63,8 +75,15 @@ const io = setupSocketIO(server);
 // Set up WhatsApp client
 const whatsappClient = setupWhatsAppClient(io);
 
+// Set up the job queue so several group additions run one after another
+const jobQueue = setupJobQueue(whatsappClient, io);
+
+// Identify the user behind every API request; routes check roles themselves
+app.use('/api', authenticate);
+app.use('/api/auth', authRoutes());
+
 // Configure routes with dependency injection
-app.use('/api', apiRoutes(whatsappClient, io));
+app.use('/api', apiRoutes(whatsappClient, io, jobQueue));
 
 // API documentation route
 app.get('/api/docs', (req, res) => {
@@ -195,6 +214,8 @@ process.on('SIGINT', async () => {
         logger.error(`Error saving session data: ${err.message}`);
     }
     
+    closeDataStorage();
+    
     logger.info('Shutdown complete. Exiting process.');
     process.exit(0);
 });
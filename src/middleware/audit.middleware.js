@@ -0,0 +1,91 @@
+/**
+ * Audit Middleware
+ * Records who did what through the API in the append-only audit log
+ */
+
+const { appendAuditEntry } = require('../services/storage.service');
+
+// Request fields that must never end up in the audit log
+const REDACTED_FIELDS = ['password', 'token'];
+
+// Longer arrays (number lists, imported contacts) are recorded by size only
+const MAX_ARRAY_ITEMS = 20;
+
+/**
+ * Make request parameters safe and compact enough for the audit log
+ * @param {Object} params - Request body, route parameters or query
+ * @returns {Object} Parameters with secrets redacted and long arrays summarized
+ */
+function summarizeParams(params = {}) {
+    const summary = {};
+    
+    Object.entries(params).forEach(([key, value]) => {
+        if (REDACTED_FIELDS.includes(key)) {
+            summary[key] = '[REDACTED]';
+        } else if (Array.isArray(value) && value.length > MAX_ARRAY_ITEMS) {
+            summary[key] = `[${value.length} items]`;
+        } else if (typeof value === 'string' && value.length > 500) {
+            summary[key] = `${value.slice(0, 500)}...`;
+        } else {
+            summary[key] = value;
+        }
+    });
+    
+    return summary;
+}
+
+/**
+ * Record the request in the audit log once the response has been sent
+ * Put it before requireRole so refused attempts are recorded as well.
+ * @param {string} action - What the request does, e.g. 'job-started' or 'config-changed'
+ * @param {Object} [options] - Audit options
+ * @param {string} [options.actorField] - Body field naming the actor of unauthenticated requests such as logins
+ * @returns {Function} Express middleware
+ */
+const auditAction = (action, { actorField = null } = {}) => (req, res, next) => {
+    // Keep the JSON response so the outcome can include its message and job ID
+    let responseBody = null;
+    const originalJson = res.json;
+    res.json = function(body) {
+        responseBody = body;
+        return originalJson.call(this, body);
+    };
+    
+    res.on('finish', () => {
+        const body = responseBody || {};
+        const params = { ...req.params, ...req.query, ...(req.body || {}) };
+        
+        if (req.files) {
+            params.files = Object.values(req.files).map(file => file.name);
+        }
+        
+        // A login is made by the account it names, even from a browser that is signed in as someone else
+        const claimedActor = actorField && req.body && typeof req.body[actorField] === 'string' ? req.body[actorField] : null;
+        const user = claimedActor ? { name: claimedActor, type: null, role: null } : req.user;
+        
+        appendAuditEntry({
+            timestamp: new Date().toISOString(),
+            actor: user ? user.name : 'anonymous',
+            actorType: user ? user.type : null,
+            role: user ? user.role : null,
+            action,
+            method: req.method,
+            path: req.originalUrl.split('?')[0],
+            params: summarizeParams(params),
+            outcome: {
+                status: res.statusCode,
+                success: res.statusCode < 400,
+                message: body.message || null,
+                jobId: body.jobId || (body.job && body.job.id) || null
+            },
+            ip: req.ip,
+            requestId: req.requestId || null
+        });
+    });
+    
+    next();
+};
+
+module.exports = {
+    auditAction
+};
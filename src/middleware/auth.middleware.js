@@ -0,0 +1,45 @@
+/**
+ * Auth Middleware
+ * Identifies the user behind each API request and enforces roles
+ */
+
+const { createError } = require('./error.middleware');
+const { hasRole, resolveUser } = require('../services/auth.service');
+
+/**
+ * Attach the user from the session cookie or API token to the request
+ * Requests without valid credentials continue without req.user; requireRole rejects them.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const authenticate = (req, res, next) => {
+    req.user = resolveUser({
+        cookie: req.headers.cookie,
+        authorization: req.headers.authorization
+    });
+    
+    next();
+};
+
+/**
+ * Only let through users with at least the given role
+ * @param {string} role - Minimum role: viewer, operator or admin
+ * @returns {Function} Express middleware
+ */
+const requireRole = (role) => (req, res, next) => {
+    if (!req.user) {
+        return next(createError('Authentication required', 401, 'UNAUTHENTICATED'));
+    }
+    
+    if (!hasRole(req.user.role, role)) {
+        return next(createError(`This action requires the ${role} role`, 403, 'FORBIDDEN'));
+    }
+    
+    next();
+};
+
+module.exports = {
+    authenticate,
+    requireRole
+};
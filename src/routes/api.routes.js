@@ -4,97 +4,1345 @@
  */
 
 const express = require('express');
-const { body, validationResult } = require('express-validator');
-const csvParser = require('csv-parser');
+const { body, query, validationResult } = require('express-validator');
 const { createError } = require('../middleware/error.middleware');
-const { getSessionStats, updateSessionStats, clearFailedNumbers, getFailedNumbers, getLogDates, getLogs } = require('../services/storage.service');
+const { requireRole } = require('../middleware/auth.middleware');
+const { auditAction } = require('../middleware/audit.middleware');
+const {
+    getSessionStats,
+    updateSessionStats,
+    clearFailedNumbers,
+    getFailedNumbers,
+    getLogDates,
+    getLogs,
+    getConsentRecords,
+    getConsent,
+    recordConsent,
+    removeConsent,
+    saveConsentRecords,
+    getSuppressionList,
+    addToSuppressionList,
+    removeFromSuppressionList,
+    saveSuppressionList,
+    recordCreatedGroup,
+    getAuditEntries,
+    getStorageStatus
+} = require('../services/storage.service');
+const {
+    IMPORT_EXTENSIONS,
+    isSupportedImportFile,
+    readImportFile,
+    getColumns,
+    detectColumns,
+    getRowPhoneNumber,
+    buildContacts
+} = require('../services/import.service');
 const logger = require('../utils/logger');
+const { validateTemplate, getContactFieldNames } = require('../utils/template');
+const { normalizePhoneNumber, isSupportedRegion } = require('../utils/phone');
+const { toCsv } = require('../utils/csv');
+const { REPORT_FORMATS, getReportRows, toCsvReport, toHtmlReport } = require('../utils/report');
+const { ADD_ERROR_TYPES } = require('../utils/error-classifier');
+
+// Dry runs answer within the request, and each registration check is paced, so only a sample is checked
+const MAX_DRY_RUN_REGISTRATION_CHECKS = 25;
+
+// Validation rules for the welcome, invite and capacity options of addition jobs
+const addOptionsValidation = [
+    body('message').optional().isString().withMessage('Message must be a string')
+        .bail()
+        .custom((message, { req }) => {
+            // Imported columns can be used as template variables too
+            const result = validateTemplate(message, getContactFieldNames(req.body.contacts));
+            if (!result.isValid) throw new Error(result.reason);
+            return true;
+        }),
+    body('contacts').optional().isArray().withMessage('Contacts must be an array'),
+    body('contacts.*.number').optional().isString().withMessage('Contact number must be a string'),
+    body('welcomeBatchSize').optional().isInt({ min: 0, max: 1000 }).withMessage('welcomeBatchSize must be between 0 and 1000'),
+    body('mentionNewMembers').optional().isBoolean().withMessage('mentionNewMembers must be a boolean'),
+    body('inviteFallback').optional().isBoolean().withMessage('inviteFallback must be a boolean'),
+    body('inviteMessage').optional().isString().withMessage('Invite message must be a string')
+        .bail()
+        .custom((inviteMessage, { req }) => checkInviteTemplate(inviteMessage, req.body.contacts)),
+    body('onGroupFull').optional().isIn(['truncate', 'fail']).withMessage("onGroupFull must be 'truncate' or 'fail'")
+];
+
+// Shared validation rules for requests that add members to a group
+const addMembersValidation = [
+    body('groupId').notEmpty().withMessage('Group ID is required'),
+    body('numbers').isArray().withMessage('Numbers must be an array'),
+    body('numbers.*').matches(/^\+?[\d\s().-]+$/).withMessage('Invalid phone number format'),
+    ...addOptionsValidation
+];
+
+// Consent and suppression entries are stored by E.164 number, so numbers must normalise with the default region
+const registerNumbersValidation = [
+    body('numbers').isArray({ min: 1 }).withMessage('Numbers must be a non-empty array'),
+    body('numbers.*').custom(number => {
+        const normalized = normalizePhoneNumber(number, getSessionStats().defaultRegion);
+        if (!normalized.isValid) throw new Error(normalized.reason);
+        return true;
+    })
+];
+
+// Validation rules for removing members from a group
+const removeMembersValidation = [
+    body('groupId').notEmpty().withMessage('Group ID is required'),
+    body('numbers').isArray({ min: 1 }).withMessage('Numbers must be a non-empty array'),
+    body('numbers.*').matches(/^\+?[\d\s().-]+$/).withMessage('Invalid phone number format'),
+    body('removeAdmins').optional().isBoolean().withMessage('removeAdmins must be a boolean')
+];
+
+/**
+ * Validation rules for group settings, optionally nested under a field
+ * @param {string} prefix - Path prefix such as 'settings.' for nested settings
+ * @returns {Array} express-validator rules
+ */
+function groupSettingsValidation(prefix = '') {
+    return [
+        body(`${prefix}subject`).optional().isString().trim().isLength({ min: 1, max: 100 }).withMessage('Subject must be 1 to 100 characters'),
+        body(`${prefix}description`).optional().isString().isLength({ max: 2048 }).withMessage('Description must be at most 2048 characters'),
+        body(`${prefix}messagesAdminsOnly`).optional().isBoolean().withMessage('messagesAdminsOnly must be a boolean'),
+        body(`${prefix}infoAdminsOnly`).optional().isBoolean().withMessage('infoAdminsOnly must be a boolean')
+    ];
+}
+
+// Validation rules for promoting and demoting admins
+const groupAdminsValidation = [
+    body('promote').optional().isArray().withMessage('promote must be an array'),
+    body('promote.*').matches(/^\+?[\d\s().-]+$/).withMessage('Invalid phone number format'),
+    body('demote').optional().isArray().withMessage('demote must be an array'),
+    body('demote.*').matches(/^\+?[\d\s().-]+$/).withMessage('Invalid phone number format')
+];
+
+/**
+ * Pick the group settings present in a request body, converting flags to booleans
+ * @param {Object} source - Request body or its nested settings object
+ * @returns {Object} Settings to change
+ */
+function getGroupSettings(source = {}) {
+    const settings = {};
+    
+    if (source.subject !== undefined) settings.subject = source.subject;
+    if (source.description !== undefined) settings.description = source.description;
+    if (source.messagesAdminsOnly !== undefined) settings.messagesAdminsOnly = String(source.messagesAdminsOnly) === 'true';
+    if (source.infoAdminsOnly !== undefined) settings.infoAdminsOnly = String(source.infoAdminsOnly) === 'true';
+    
+    return settings;
+}
+
+// Picture for a new group, sent as a data URL
+const PICTURE_DATA_URL = /^data:(image\/(?:jpeg|png));base64,([A-Za-z0-9+/=]+)$/;
+
+// Validation rules for creating a group
+const createGroupValidation = [
+    body('name').isString().trim().isLength({ min: 1, max: 100 }).withMessage('Group name must be 1 to 100 characters'),
+    body('numbers').optional().isArray().withMessage('Numbers must be an array'),
+    body('numbers.*').matches(/^\+?[\d\s().-]+$/).withMessage('Invalid phone number format'),
+    body('initialSize').optional().isInt({ min: 0, max: 50 }).withMessage('initialSize must be between 0 and 50'),
+    body('description').optional().isString().isLength({ max: 2048 }).withMessage('Description must be at most 2048 characters'),
+    body('picture').optional().matches(PICTURE_DATA_URL).withMessage('Picture must be a base64 JPEG or PNG data URL'),
+    ...addOptionsValidation
+];
+
+// Validation rules for copying the members of one group to another
+const copyMembersValidation = [
+    body('sourceGroupId').notEmpty().withMessage('Source group ID is required'),
+    body('targetGroupId').notEmpty().withMessage('Target group ID is required')
+        .bail()
+        .custom((targetGroupId, { req }) => {
+            if (targetGroupId === req.body.sourceGroupId) {
+                throw new Error('Source and target group must be different');
+            }
+            return true;
+        }),
+    ...addOptionsValidation
+];
+
+/**
+ * Validator for invite templates, which can also use {{inviteLink}}
+ * @param {string} template - Invite message template
+ * @param {Array<Object>} contacts - Imported contacts whose columns can be used as variables
+ * @returns {boolean} True when valid
+ * @throws {Error} With the reason when invalid
+ */
+function checkInviteTemplate(template, contacts) {
+    const result = validateTemplate(template, getContactFieldNames(contacts), ['inviteLink']);
+    if (!result.isValid) throw new Error(result.reason);
+    return true;
+}
+
+/**
+ * Get the job options from a validated add-members request
+ * @param {Object} reqBody - Request body
+ * @param {Object} user - User submitting the job
+ * @returns {Object} Parameters for enqueueJob
+ */
+function getAddMembersJobParams(reqBody, user) {
+    return {
+        groupId: reqBody.groupId,
+        numbers: reqBody.numbers,
+        message: reqBody.message,
+        contacts: Array.isArray(reqBody.contacts) ? reqBody.contacts : [],
+        welcomeBatchSize: reqBody.welcomeBatchSize ? parseInt(reqBody.welcomeBatchSize) : 0,
+        mentionNewMembers: String(reqBody.mentionNewMembers) === 'true',
+        inviteFallback: reqBody.inviteFallback !== undefined ? String(reqBody.inviteFallback) === 'true' : undefined,
+        inviteMessage: reqBody.inviteMessage || null,
+        onGroupFull: reqBody.onGroupFull || 'truncate',
+        startedBy: user ? user.name : null
+    };
+}
+
+/**
+ * Get the uploaded import file, accepting the legacy "csv" field name
+ * @param {Object} req - Express request
+ * @returns {Object|null} Uploaded file or null
+ */
+function getImportFile(req) {
+    if (!req.files) return null;
+    return req.files.file || req.files.csv || null;
+}
+
+/**
+ * Check an uploaded import file, sending a 400 response when it can't be used
+ * @param {Object} importFile - Uploaded file
+ * @param {Object} res - Express response
+ * @returns {boolean} Whether the file can be imported
+ */
+function validateImportFile(importFile, res) {
+    if (!importFile) {
+        res.status(400).json({ 
+            success: false, 
+            message: 'No file uploaded' 
+        });
+        return false;
+    }
+    
+    if (!isSupportedImportFile(importFile.name)) {
+        res.status(400).json({
+            success: false,
+            message: `Only ${IMPORT_EXTENSIONS.join(', ')} files are allowed`
+        });
+        return false;
+    }
+    
+    // Validate file size (5MB limit)
+    if (importFile.size > 5 * 1024 * 1024) {
+        res.status(400).json({
+            success: false,
+            message: 'File size exceeds 5MB limit'
+        });
+        return false;
+    }
+    
+    return true;
+}
 
 /**
  * Initialize API routes with WhatsApp client and Socket.IO instance
  * @param {Object} whatsappClient - WhatsApp client instance
  * @param {Object} io - Socket.IO instance
+ * @param {Object} jobQueue - Job queue instance
  * @returns {express.Router} Configured router
  */
-function apiRoutes(whatsappClient, io) {
+function apiRoutes(whatsappClient, io, jobQueue) {
     const router = express.Router();
     
     /**
-     * @route GET /api/status
-     * @description Get current status of the WhatsApp client and session
-     * @access Public
+     * Validate the group and numbers of an add-members style request
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @returns {boolean} Whether the request is valid; an error response has been sent otherwise
+     */
+    function validateAddMembersRequest(req, res) {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            res.status(400).json({ 
+                success: false, 
+                message: 'Validation error',
+                errors: errors.array() 
+            });
+            return false;
+        }
+        
+        const { groupId, numbers } = req.body;
+        
+        // Validate group ID format
+        if (!whatsappClient.isGroupId(groupId) && !whatsappClient.isInvitationLink(groupId)) {
+            res.status(400).json({
+                success: false,
+                message: 'Invalid group ID or invitation link format'
+            });
+            return false;
+        }
+        
+        // Check for empty numbers array
+        if (numbers.length === 0) {
+            res.status(400).json({
+                success: false,
+                message: 'No phone numbers provided'
+            });
+            return false;
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Validate the source and target groups of a copy-members request
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @returns {boolean} Whether the request is valid; an error response has been sent otherwise
+     */
+    function validateCopyMembersRequest(req, res) {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            res.status(400).json({ 
+                success: false, 
+                message: 'Validation error',
+                errors: errors.array() 
+            });
+            return false;
+        }
+        
+        // Members can only be read from groups we belong to, so invitation links are not accepted
+        const { sourceGroupId, targetGroupId } = req.body;
+        if (!whatsappClient.isGroupId(sourceGroupId) || !whatsappClient.isGroupId(targetGroupId)) {
+            res.status(400).json({
+                success: false,
+                message: 'Source and target must be group IDs'
+            });
+            return false;
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Build the copy plan for a validated copy-members request
+     * @param {Object} req - Express request object
+     * @returns {Promise<Object>} Copy plan
+     */
+    async function getCopyPlan(req) {
+        try {
+            return await whatsappClient.planGroupCopy(req.body.sourceGroupId, req.body.targetGroupId);
+        } catch (err) {
+            throw createError(`Group not found: ${err.message}`, 404, 'GROUP_NOT_FOUND');
+        }
+    }
+    
+    /**
+     * @route GET /api/status
+     * @description Get current status of the WhatsApp client and session
+     * @access Viewer
+     */
+    router.get('/status', requireRole('viewer'), (req, res) => {
+        const sessionStats = getSessionStats();
+        const currentHour = new Date().getHours();
+        
+        // Check if circuit breaker wait time has elapsed
+        if (sessionStats.circuitBreakerTripped && sessionStats.circuitBreakerResetTime) {
+            const resetTime = new Date(sessionStats.circuitBreakerResetTime);
+            if (new Date() > resetTime) {
+                // Reset circuit breaker
+                updateSessionStats({
+                    circuitBreakerTripped: false,
+                    circuitBreakerResetTime: null,
+                    consecutiveFailures: 0
+                });
+                logger.info('Circuit breaker automatically reset after timeout period');
+            }
+        }
+        
+        res.json({
+            success: true,
+            clientReady: whatsappClient.isReady(),
+            dailyLimit: sessionStats.dailyLimit,
+            addedToday: sessionStats.addedToday,
+            remaining: Math.max(0, sessionStats.dailyLimit - sessionStats.addedToday),
+            hourlyLimit: sessionStats.hourlyLimit,
+            hourlyAdded: sessionStats.hourlyAdditionCounts[currentHour],
+            hourlyRemaining: Math.max(0, sessionStats.hourlyLimit - sessionStats.hourlyAdditionCounts[currentHour]),
+            status: sessionStats.userStatus,
+            protectionMode: sessionStats.circuitBreakerTripped,
+            protectionResetTime: sessionStats.circuitBreakerResetTime,
+            currentBatchSize: sessionStats.currentBatch.length,
+            currentBatchProgress: sessionStats.currentBatchIndex,
+            batchPaused: sessionStats.batchPaused,
+            requireConsent: sessionStats.requireConsent,
+            defaultRegion: sessionStats.defaultRegion,
+            inviteFallback: sessionStats.inviteFallback,
+            inviteTemplate: sessionStats.inviteTemplate,
+            consecutiveFailures: sessionStats.consecutiveFailures,
+            storage: getStorageStatus()
+        });
+    });
+    
+    /**
+     * @route POST /api/reset-protection
+     * @description Manually reset circuit breaker protection
+     * @access Admin
+     */
+    router.post('/reset-protection', auditAction('protection-reset'), requireRole('admin'), (req, res) => {
+        if (whatsappClient && typeof whatsappClient.resetCircuitBreaker === 'function') {
+            whatsappClient.resetCircuitBreaker();
+        } else {
+            // Fallback to direct state update
+            updateSessionStats({
+                circuitBreakerTripped: false,
+                circuitBreakerResetTime: null,
+                consecutiveFailures: 0
+            });
+            logger.info('Circuit breaker manually reset');
+        }
+        
+        res.json({
+            success: true,
+            message: 'Protection mode disabled'
+        });
+    });
+    
+    /**
+     * @route POST /api/add-members
+     * @description Queue a job adding members to a WhatsApp group; poll GET /api/jobs/:id for results
+     * @access Operator
+     */
+    router.post('/add-members', auditAction('job-started'), requireRole('operator'), addMembersValidation, (req, res, next) => {
+        try {
+            if (!validateAddMembersRequest(req, res)) return;
+            
+            // Check WhatsApp client status - use both info and authentication flag
+            if (!whatsappClient.isReady()) {
+                return res.status(503).json({ 
+                    success: false, 
+                    message: 'WhatsApp not connected. Please scan the QR code first.' 
+                });
+            }
+            
+            // Queue the request and answer right away; the job can take hours
+            const job = jobQueue.enqueueJob(getAddMembersJobParams(req.body, req.user));
+            
+            res.status(202).json({
+                success: true,
+                message: 'Job accepted and queued',
+                jobId: job.id,
+                statusUrl: `/api/jobs/${job.id}`,
+                job: jobQueue.summarizeJob(job)
+            });
+            
+        } catch (err) {
+            next(err);
+        }
+    });
+    
+    /**
+     * @route POST /api/add-members/dry-run
+     * @description Validate a list against a group without adding anyone and estimate the duration;
+     * registration is checked for a sample of at most MAX_DRY_RUN_REGISTRATION_CHECKS numbers
+     * @access Operator
+     */
+    router.post('/add-members/dry-run', requireRole('operator'), [
+        ...addMembersValidation,
+        body('checkRegistration').optional().isBoolean().withMessage('checkRegistration must be a boolean'),
+        body('maxRegistrationChecks').optional().isInt({ min: 1, max: MAX_DRY_RUN_REGISTRATION_CHECKS })
+            .withMessage(`maxRegistrationChecks must be between 1 and ${MAX_DRY_RUN_REGISTRATION_CHECKS}`)
+    ], async (req, res, next) => {
+        try {
+            if (!validateAddMembersRequest(req, res)) return;
+            
+            if (!whatsappClient.isReady()) {
+                return res.status(503).json({ 
+                    success: false, 
+                    message: 'WhatsApp not connected. Please scan the QR code first.' 
+                });
+            }
+            
+            const { groupId, numbers, checkRegistration, maxRegistrationChecks } = req.body;
+            const report = await whatsappClient.dryRunGroupAddition(groupId, numbers, {
+                checkRegistration: String(checkRegistration) === 'true',
+                maxRegistrationChecks: maxRegistrationChecks ? parseInt(maxRegistrationChecks) : MAX_DRY_RUN_REGISTRATION_CHECKS
+            });
+            
+            res.json(report);
+            
+        } catch (err) {
+            next(err);
+        }
+    });
+    
+    /**
+     * @route POST /api/remove-members
+     * @description Queue a job removing members from a group; admins are kept unless removeAdmins is set
+     * @access Operator
+     */
+    router.post('/remove-members', auditAction('job-started'), requireRole('operator'), removeMembersValidation, (req, res, next) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ 
+                    success: false, 
+                    message: 'Validation error',
+                    errors: errors.array() 
+                });
+            }
+            
+            // Removal needs the participant list, which is only available for groups we belong to
+            if (!whatsappClient.isGroupId(req.body.groupId)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid group ID format'
+                });
+            }
+            
+            if (!whatsappClient.isReady()) {
+                return res.status(503).json({ 
+                    success: false, 
+                    message: 'WhatsApp not connected. Please scan the QR code first.' 
+                });
+            }
+            
+            const job = jobQueue.enqueueRemovalJob({
+                groupId: req.body.groupId,
+                numbers: req.body.numbers,
+                removeAdmins: String(req.body.removeAdmins) === 'true',
+                startedBy: req.user.name
+            });
+            
+            res.status(202).json({
+                success: true,
+                message: 'Job accepted and queued',
+                jobId: job.id,
+                statusUrl: `/api/jobs/${job.id}`,
+                job: jobQueue.summarizeJob(job)
+            });
+            
+        } catch (err) {
+            next(err);
+        }
+    });
+    
+    /**
+     * @route POST /api/copy-members/dry-run
+     * @description Show how many members of the source group would be added to the target group
+     * @access Operator
+     */
+    router.post('/copy-members/dry-run', requireRole('operator'), copyMembersValidation, async (req, res, next) => {
+        try {
+            if (!validateCopyMembersRequest(req, res)) return;
+            
+            if (!whatsappClient.isReady()) {
+                return res.status(503).json({ 
+                    success: false, 
+                    message: 'WhatsApp not connected. Please scan the QR code first.' 
+                });
+            }
+            
+            res.json(await getCopyPlan(req));
+            
+        } catch (err) {
+            next(err);
+        }
+    });
+    
+    /**
+     * @route POST /api/copy-members
+     * @description Queue a job adding everyone in the source group who isn't in the target group yet
+     * @access Operator
+     */
+    router.post('/copy-members', auditAction('job-started'), requireRole('operator'), copyMembersValidation, async (req, res, next) => {
+        try {
+            if (!validateCopyMembersRequest(req, res)) return;
+            
+            if (!whatsappClient.isReady()) {
+                return res.status(503).json({ 
+                    success: false, 
+                    message: 'WhatsApp not connected. Please scan the QR code first.' 
+                });
+            }
+            
+            const { sourceGroupId, targetGroupId } = req.body;
+            // Only the counts are returned; the dry run endpoint has the full lists
+            const { categories, numbers, ...plan } = await getCopyPlan(req);
+            
+            if (numbers.length === 0) {
+                return res.json({
+                    success: true,
+                    message: 'No eligible members to copy',
+                    jobId: null,
+                    plan
+                });
+            }
+            
+            const job = jobQueue.enqueueJob({
+                ...getAddMembersJobParams({ ...req.body, groupId: targetGroupId, numbers }, req.user),
+                type: 'copy-members',
+                sourceGroupId
+            });
+            
+            res.status(202).json({
+                success: true,
+                message: 'Job accepted and queued',
+                jobId: job.id,
+                statusUrl: `/api/jobs/${job.id}`,
+                job: jobQueue.summarizeJob(job),
+                plan
+            });
+            
+        } catch (err) {
+            next(err);
+        }
+    });
+    
+    /**
+     * @route GET /api/groups
+     * @description List every group the connected account belongs to
+     * @access Viewer
+     */
+    router.get('/groups', requireRole('viewer'), async (req, res, next) => {
+        try {
+            if (!whatsappClient.isReady()) {
+                return res.status(503).json({ 
+                    success: false, 
+                    message: 'WhatsApp not connected. Please scan the QR code first.' 
+                });
+            }
+            
+            const groups = await whatsappClient.listGroups();
+            
+            res.json({
+                success: true,
+                count: groups.length,
+                groups
+            });
+            
+        } catch (err) {
+            next(err);
+        }
+    });
+    
+    /**
+     * @route POST /api/groups
+     * @description Create a group with a first set of members and queue the remaining numbers as an addition job
+     * @access Operator
+     */
+    router.post('/groups', auditAction('group-created'), requireRole('operator'), createGroupValidation, async (req, res, next) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ 
+                    success: false, 
+                    message: 'Validation error',
+                    errors: errors.array() 
+                });
+            }
+            
+            if (!whatsappClient.isReady()) {
+                return res.status(503).json({ 
+                    success: false, 
+                    message: 'WhatsApp not connected. Please scan the QR code first.' 
+                });
+            }
+            
+            const { name, description } = req.body;
+            const numbers = req.body.numbers || [];
+            const pictureMatch = req.body.picture ? req.body.picture.match(PICTURE_DATA_URL) : null;
+            
+            let group;
+            try {
+                group = await whatsappClient.createGroupWithMembers(name, numbers, {
+                    initialSize: req.body.initialSize !== undefined ? parseInt(req.body.initialSize) : undefined,
+                    description: description || null,
+                    picture: pictureMatch ? { mimetype: pictureMatch[1], data: pictureMatch[2] } : null
+                });
+            } catch (err) {
+                throw createError(`Group could not be created: ${err.message}`, 502, 'GROUP_CREATE_FAILED');
+            }
+            
+            // The rest goes through the normal pipeline with its pacing and limits
+            const { remaining, ...created } = group;
+            const job = remaining.length > 0
+                ? jobQueue.enqueueJob({
+                    ...getAddMembersJobParams({ ...req.body, groupId: group.groupId, numbers: remaining }, req.user),
+                    groupName: name
+                })
+                : null;
+            
+            recordCreatedGroup({
+                id: group.groupId,
+                name,
+                inviteLink: group.inviteLink,
+                initialMembers: group.added,
+                jobId: job ? job.id : null
+            });
+            
+            res.status(201).json({
+                success: true,
+                message: job ? `Group created; ${remaining.length} numbers queued` : 'Group created',
+                ...created,
+                jobId: job ? job.id : null,
+                statusUrl: job ? `/api/jobs/${job.id}` : null
+            });
+            
+        } catch (err) {
+            next(err);
+        }
+    });
+    
+    /**
+     * @route GET /api/groups/:id/participants
+     * @description List the participants of a group
+     * @access Viewer
+     */
+    router.get('/groups/:id/participants', requireRole('viewer'), async (req, res, next) => {
+        try {
+            if (!whatsappClient.isReady()) {
+                return res.status(503).json({ 
+                    success: false, 
+                    message: 'WhatsApp not connected. Please scan the QR code first.' 
+                });
+            }
+            
+            const groupId = req.params.id;
+            if (!whatsappClient.isGroupId(groupId)) {
+                throw createError('Invalid group ID format', 400, 'INVALID_GROUP_ID');
+            }
+            
+            let group;
+            try {
+                group = await whatsappClient.listGroupParticipants(groupId);
+            } catch (err) {
+                throw createError(`Group not found: ${err.message}`, 404, 'GROUP_NOT_FOUND');
+            }
+            
+            res.json({
+                success: true,
+                groupId: group.id,
+                name: group.name,
+                count: group.participants.length,
+                participants: group.participants
+            });
+            
+        } catch (err) {
+            next(err);
+        }
+    });
+    
+    /**
+     * @route GET /api/groups/:id/participants/export
+     * @description Download a group's participants as CSV or JSON
+     * @access Viewer
+     */
+    router.get('/groups/:id/participants/export', requireRole('viewer'), async (req, res, next) => {
+        try {
+            if (!whatsappClient.isReady()) {
+                return res.status(503).json({ 
+                    success: false, 
+                    message: 'WhatsApp not connected. Please scan the QR code first.' 
+                });
+            }
+            
+            const groupId = req.params.id;
+            if (!whatsappClient.isGroupId(groupId)) {
+                throw createError('Invalid group ID format', 400, 'INVALID_GROUP_ID');
+            }
+            
+            const format = (req.query.format || 'csv').toLowerCase();
+            if (!['csv', 'json'].includes(format)) {
+                throw createError('Format must be csv or json', 400, 'INVALID_FORMAT');
+            }
+            
+            let group;
+            try {
+                group = await whatsappClient.listGroupParticipants(groupId, { includeNames: true });
+            } catch (err) {
+                throw createError(`Group not found: ${err.message}`, 404, 'GROUP_NOT_FOUND');
+            }
+            
+            const participants = group.participants.map(participant => ({
+                number: participant.number,
+                isAdmin: participant.isAdmin,
+                isSuperAdmin: participant.isSuperAdmin,
+                pushName: participant.pushName
+            }));
+            
+            const fileName = `participants-${groupId.replace(/@.*$/, '')}-${new Date().toISOString().slice(0, 10)}.${format}`;
+            res.attachment(fileName);
+            
+            logger.info(`Exported ${participants.length} participants of ${groupId} as ${format}`);
+            
+            if (format === 'json') {
+                return res.json({
+                    groupId: group.id,
+                    name: group.name,
+                    exportedAt: new Date().toISOString(),
+                    count: participants.length,
+                    participants
+                });
+            }
+            
+            res.type('text/csv').send(toCsv(['number', 'isAdmin', 'isSuperAdmin', 'pushName'], participants));
+            
+        } catch (err) {
+            next(err);
+        }
+    });
+    
+    /**
+     * Run a change on a single group, turning lookup and permission problems into API errors
+     * @param {Function} change - Async change to run
+     * @returns {Promise<Object>} Result of the change
+     */
+    async function runGroupChange(change) {
+        try {
+            return await change();
+        } catch (err) {
+            if (err.errorType === ADD_ERROR_TYPES.NOT_ADMIN) {
+                throw createError(err.message, 403, 'NOT_ADMIN');
+            }
+            if (/not a group|not found/i.test(err.message)) {
+                throw createError(`Group not found: ${err.message}`, 404, 'GROUP_NOT_FOUND');
+            }
+            throw err;
+        }
+    }
+    
+    /**
+     * Send a 400 response for failed validation or a malformed group ID
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     * @returns {boolean} Whether the request is valid
+     */
+    function validateGroupChangeRequest(req, res) {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            res.status(400).json({ 
+                success: false, 
+                message: 'Validation error',
+                errors: errors.array() 
+            });
+            return false;
+        }
+        
+        if (!whatsappClient.isGroupId(req.params.id)) {
+            res.status(400).json({
+                success: false,
+                message: 'Invalid group ID format'
+            });
+            return false;
+        }
+        
+        return true;
+    }
+    
+    /**
+     * @route POST /api/groups/:id/admins
+     * @description Promote and demote admins of a group
+     * @access Operator
+     */
+    router.post('/groups/:id/admins', auditAction('group-admins-changed'), requireRole('operator'), groupAdminsValidation, async (req, res, next) => {
+        try {
+            if (!validateGroupChangeRequest(req, res)) return;
+            
+            const promote = req.body.promote || [];
+            const demote = req.body.demote || [];
+            if (promote.length === 0 && demote.length === 0) {
+                throw createError('Provide numbers to promote or demote', 400, 'NO_CHANGES');
+            }
+            
+            if (!whatsappClient.isReady()) {
+                return res.status(503).json({ 
+                    success: false, 
+                    message: 'WhatsApp not connected. Please scan the QR code first.' 
+                });
+            }
+            
+            const result = await runGroupChange(() => whatsappClient.updateGroupAdmins(req.params.id, { promote, demote }));
+            
+            res.json({
+                success: true,
+                ...result
+            });
+            
+        } catch (err) {
+            next(err);
+        }
+    });
+    
+    /**
+     * @route POST /api/groups/:id/settings
+     * @description Change a group's subject, description and admin-only restrictions
+     * @access Operator
+     */
+    router.post('/groups/:id/settings', auditAction('group-settings-changed'), requireRole('operator'), groupSettingsValidation(), async (req, res, next) => {
+        try {
+            if (!validateGroupChangeRequest(req, res)) return;
+            
+            const settings = getGroupSettings(req.body);
+            if (Object.keys(settings).length === 0) {
+                throw createError('Provide at least one setting to change', 400, 'NO_CHANGES');
+            }
+            
+            if (!whatsappClient.isReady()) {
+                return res.status(503).json({ 
+                    success: false, 
+                    message: 'WhatsApp not connected. Please scan the QR code first.' 
+                });
+            }
+            
+            const result = await runGroupChange(() => whatsappClient.updateGroupSettings(req.params.id, settings));
+            
+            res.json({
+                success: Object.keys(result.failed).length === 0,
+                ...result
+            });
+            
+        } catch (err) {
+            next(err);
+        }
+    });
+    
+    /**
+     * @route POST /api/groups/bulk
+     * @description Queue a job applying admin and settings changes to several groups
+     * @access Operator
+     */
+    router.post('/groups/bulk', auditAction('job-started'), requireRole('operator'), [
+        body('groupIds').isArray({ min: 1 }).withMessage('groupIds must be a non-empty array'),
+        body('groupIds.*').isString().withMessage('Group IDs must be strings'),
+        ...groupAdminsValidation,
+        body('settings').optional().isObject().withMessage('settings must be an object'),
+        ...groupSettingsValidation('settings.')
+    ], (req, res, next) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ 
+                    success: false, 
+                    message: 'Validation error',
+                    errors: errors.array() 
+                });
+            }
+            
+            const { groupIds, promote = [], demote = [] } = req.body;
+            const invalidIds = groupIds.filter(groupId => !whatsappClient.isGroupId(groupId));
+            if (invalidIds.length > 0) {
+                throw createError(`Invalid group ID format: ${invalidIds.join(', ')}`, 400, 'INVALID_GROUP_ID');
+            }
+            
+            const settings = getGroupSettings(req.body.settings);
+            if (promote.length === 0 && demote.length === 0 && Object.keys(settings).length === 0) {
+                throw createError('Provide admins to change or settings to apply', 400, 'NO_CHANGES');
+            }
+            
+            if (!whatsappClient.isReady()) {
+                return res.status(503).json({ 
+                    success: false, 
+                    message: 'WhatsApp not connected. Please scan the QR code first.' 
+                });
+            }
+            
+            const job = jobQueue.enqueueManageGroupsJob({
+                groupIds,
+                promote,
+                demote,
+                settings,
+                startedBy: req.user.name
+            });
+            
+            res.status(202).json({
+                success: true,
+                message: 'Job accepted and queued',
+                jobId: job.id,
+                statusUrl: `/api/jobs/${job.id}`,
+                job: jobQueue.summarizeJob(job)
+            });
+            
+        } catch (err) {
+            next(err);
+        }
+    });
+    
+    /**
+     * @route GET /api/groups/:id/check
+     * @description Check admin rights and remaining capacity of a group before adding ?count= members
+     * @access Viewer
+     */
+    router.get('/groups/:id/check', requireRole('viewer'), async (req, res, next) => {
+        try {
+            if (!whatsappClient.isReady()) {
+                return res.status(503).json({ 
+                    success: false, 
+                    message: 'WhatsApp not connected. Please scan the QR code first.' 
+                });
+            }
+            
+            const groupId = req.params.id;
+            if (!whatsappClient.isGroupId(groupId)) {
+                throw createError('Invalid group ID format', 400, 'INVALID_GROUP_ID');
+            }
+            
+            const count = parseInt(req.query.count) || 0;
+            
+            let check;
+            try {
+                check = await whatsappClient.checkGroup(groupId, { count });
+            } catch (err) {
+                throw createError(`Group not found: ${err.message}`, 404, 'GROUP_NOT_FOUND');
+            }
+            
+            let message = 'Group is ready';
+            if (check.isAdmin === false) {
+                message = 'The connected account is not an admin of this group';
+            } else if (check.overflow > 0) {
+                message = `Group has room for ${check.remainingCapacity} more members; ${check.overflow} would be skipped as group full`;
+            }
+            
+            res.json({ success: true, message, ...check });
+            
+        } catch (err) {
+            next(err);
+        }
+    });
+    
+    /**
+     * @route GET /api/jobs
+     * @description List all jobs in the queue with their status
+     * @access Viewer
+     */
+    router.get('/jobs', requireRole('viewer'), (req, res) => {
+        const jobs = jobQueue.getJobs().map(jobQueue.summarizeJob);
+        
+        res.json({
+            success: true,
+            count: jobs.length,
+            jobs
+        });
+    });
+    
+    /**
+     * @route GET /api/jobs/:id
+     * @description Get a job with its results (added, failed, skipped, details, batch progress)
+     * @access Viewer
+     */
+    router.get('/jobs/:id', requireRole('viewer'), (req, res, next) => {
+        try {
+            const job = jobQueue.getJob(req.params.id);
+            
+            if (!job) {
+                throw createError('Job not found', 404);
+            }
+            
+            res.json({
+                success: true,
+                job: jobQueue.summarizeJob(job),
+                results: job.results
+            });
+            
+        } catch (err) {
+            next(err);
+        }
+    });
+    
+    /**
+     * @route GET /api/jobs/:id/report
+     * @description Download the per-number outcome of a job as CSV, JSON or a standalone HTML page
+     * @access Viewer
+     */
+    router.get('/jobs/:id/report', requireRole('viewer'), [
+        query('format').optional().isIn(REPORT_FORMATS).withMessage(`Format must be one of ${REPORT_FORMATS.join(', ')}`)
+    ], (req, res, next) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ 
+                    success: false, 
+                    message: 'Validation error',
+                    errors: errors.array() 
+                });
+            }
+            
+            const job = jobQueue.getJob(req.params.id);
+            
+            if (!job) {
+                throw createError('Job not found', 404);
+            }
+            
+            const { format = 'csv' } = req.query;
+            const summary = jobQueue.summarizeJob(job);
+            const rows = getReportRows(job.results ? job.results.details : []);
+            const fileName = `job-${job.id}-report`;
+            
+            if (format === 'json') {
+                res.attachment(`${fileName}.json`);
+                return res.json({
+                    success: true,
+                    job: summary,
+                    count: rows.length,
+                    details: rows
+                });
+            }
+            
+            if (format === 'html') {
+                return res.type('html').send(toHtmlReport(summary, rows));
+            }
+            
+            res.attachment(`${fileName}.csv`);
+            res.type('text/csv').send(toCsvReport(rows));
+            
+        } catch (err) {
+            next(err);
+        }
+    });
+    
+    /**
+     * @route POST /api/jobs
+     * @description Submit a group addition job to run after the jobs already queued
+     * @access Operator
+     */
+    router.post('/jobs', auditAction('job-started'), requireRole('operator'), addMembersValidation, (req, res, next) => {
+        try {
+            if (!validateAddMembersRequest(req, res)) return;
+            
+            const job = jobQueue.enqueueJob(getAddMembersJobParams(req.body, req.user));
+            
+            res.status(201).json({
+                success: true,
+                message: 'Job queued',
+                job: jobQueue.summarizeJob(job)
+            });
+            
+        } catch (err) {
+            next(err);
+        }
+    });
+    
+    /**
+     * @route DELETE /api/jobs/:id
+     * @description Remove a queued or paused job; finished jobs stay in the history
+     * @access Operator
+     */
+    router.delete('/jobs/:id', auditAction('job-removed'), requireRole('operator'), (req, res, next) => {
+        try {
+            const result = jobQueue.removeJob(req.params.id);
+            
+            if (!result.success) {
+                throw createError(result.message, result.status);
+            }
+            
+            res.json(result);
+            
+        } catch (err) {
+            next(err);
+        }
+    });
+    
+    /**
+     * @route POST /api/import/preview
+     * @description Preview an uploaded CSV, TSV or XLSX file with its columns and detected mapping
+     * @access Operator
      */
-    router.get('/status', (req, res) => {
-        const sessionStats = getSessionStats();
-        const currentHour = new Date().getHours();
-        
-        // Check if circuit breaker wait time has elapsed
-        if (sessionStats.circuitBreakerTripped && sessionStats.circuitBreakerResetTime) {
-            const resetTime = new Date(sessionStats.circuitBreakerResetTime);
-            if (new Date() > resetTime) {
-                // Reset circuit breaker
-                updateSessionStats({
-                    circuitBreakerTripped: false,
-                    circuitBreakerResetTime: null,
-                    consecutiveFailures: 0
+    router.post('/import/preview', requireRole('operator'), async (req, res, next) => {
+        try {
+            const importFile = getImportFile(req);
+            if (!validateImportFile(importFile, res)) return;
+            
+            const rows = await readImportFile(importFile);
+            const columns = getColumns(rows);
+            
+            res.json({
+                success: true,
+                fileName: importFile.name,
+                totalRows: rows.length,
+                columns,
+                detected: detectColumns(columns),
+                preview: rows.slice(0, 10)
+            });
+            
+        } catch (err) {
+            next(err);
+        }
+    });
+    
+    /**
+     * @route POST /api/upload-csv
+     * @description Upload a CSV, TSV or XLSX file and extract contacts using the chosen columns
+     * @access Operator
+     */
+    router.post('/upload-csv', requireRole('operator'), async (req, res, next) => {
+        try {
+            const importFile = getImportFile(req);
+            if (!validateImportFile(importFile, res)) return;
+            
+            const rows = await readImportFile(importFile);
+            const columns = getColumns(rows);
+            const detected = detectColumns(columns);
+            
+            // Explicit choices from the caller win over the detected columns
+            const mapping = {
+                phone: req.body.phoneColumn || detected.phone,
+                name: req.body.nameColumn !== undefined ? req.body.nameColumn || null : detected.name,
+                country: req.body.countryColumn !== undefined ? req.body.countryColumn || null : detected.country
+            };
+            
+            const unknownColumns = Object.values(mapping).filter(column => column && !columns.includes(column));
+            if (rows.length > 0 && unknownColumns.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Unknown column(s): ${unknownColumns.join(', ')}`,
+                    columns
                 });
-                logger.info('Circuit breaker automatically reset after timeout period');
             }
+            
+            const { numbers, contacts, invalid } = buildContacts(rows, mapping, getSessionStats().defaultRegion);
+            
+            res.json({ 
+                success: true, 
+                count: numbers.length, 
+                numbers,
+                contacts,
+                invalid,
+                columns,
+                mapping,
+                message: `Found ${numbers.length} valid phone numbers in ${importFile.name}${invalid.length > 0 ? `, ${invalid.length} invalid` : ''}`
+            });
+            
+        } catch (err) {
+            next(err);
         }
-        
-        res.json({
-            success: true,
-            clientReady: whatsappClient.info !== undefined,
-            dailyLimit: sessionStats.dailyLimit,
-            addedToday: sessionStats.addedToday,
-            remaining: Math.max(0, sessionStats.dailyLimit - sessionStats.addedToday),
-            hourlyLimit: sessionStats.hourlyLimit,
-            hourlyAdded: sessionStats.hourlyAdditionCounts[currentHour],
-            hourlyRemaining: Math.max(0, sessionStats.hourlyLimit - sessionStats.hourlyAdditionCounts[currentHour]),
-            status: sessionStats.userStatus,
-            protectionMode: sessionStats.circuitBreakerTripped,
-            protectionResetTime: sessionStats.circuitBreakerResetTime,
-            currentBatchSize: sessionStats.currentBatch.length,
-            currentBatchProgress: sessionStats.currentBatchIndex,
-            consecutiveFailures: sessionStats.consecutiveFailures
-        });
     });
     
     /**
-     * @route POST /api/reset-protection
-     * @description Manually reset circuit breaker protection
-     * @access Public
+     * @route POST /api/resume-batch
+     * @description Resume interrupted batch process
+     * @access Operator
      */
-    router.post('/reset-protection', (req, res) => {
-        if (whatsappClient && typeof whatsappClient.resetCircuitBreaker === 'function') {
-            whatsappClient.resetCircuitBreaker();
-        } else {
-            // Fallback to direct state update
-            updateSessionStats({
-                circuitBreakerTripped: false,
-                circuitBreakerResetTime: null,
-                consecutiveFailures: 0
+    router.post('/resume-batch', auditAction('job-started'), requireRole('operator'), (req, res, next) => {
+        try {
+            // Prefer a job that was paused by the user or by a restart
+            const resumed = jobQueue.resumeBatch();
+            if (resumed.success) {
+                return res.json({
+                    success: true,
+                    message: resumed.message,
+                    job: resumed.job ? jobQueue.summarizeJob(resumed.job) : null
+                });
+            }
+            
+            const sessionStats = getSessionStats();
+            
+            if (sessionStats.isAddingMembers) {
+                return res.status(409).json({ 
+                    success: false, 
+                    message: 'Already adding members to a group' 
+                });
+            }
+            
+            if (!sessionStats.currentBatch || sessionStats.currentBatch.length === 0 || !sessionStats.lastGroupId) {
+                return res.status(404).json({ 
+                    success: false, 
+                    message: 'No interrupted batch found to resume' 
+                });
+            }
+            
+            const remainingNumbers = sessionStats.currentBatch.slice(sessionStats.currentBatchIndex);
+            
+            logger.info(`Resuming batch with ${remainingNumbers.length} remaining numbers for group ${sessionStats.lastGroupId}`);
+            
+            const job = jobQueue.enqueueJob({
+                groupId: sessionStats.lastGroupId,
+                numbers: remainingNumbers,
+                startedBy: req.user.name
             });
-            logger.info('Circuit breaker manually reset');
+            
+            res.json({
+                success: true,
+                message: 'Interrupted batch queued for resumption',
+                job: jobQueue.summarizeJob(job)
+            });
+            
+        } catch (err) {
+            next(err);
         }
+    });
+    
+    /**
+     * Build a handler for a batch control action
+     * @param {Function} action - Job queue control function
+     * @returns {Function} Express route handler
+     */
+    function batchControlHandler(action) {
+        return (req, res, next) => {
+            try {
+                const result = action();
+                
+                if (!result.success) {
+                    throw createError(result.message, result.status);
+                }
+                
+                res.json({
+                    success: true,
+                    message: result.message,
+                    paused: getSessionStats().batchPaused,
+                    job: result.job ? jobQueue.summarizeJob(result.job) : null
+                });
+                
+            } catch (err) {
+                next(err);
+            }
+        };
+    }
+    
+    /**
+     * @route POST /api/batch/pause
+     * @description Pause the running batch before its next number and hold the queue
+     * @access Operator
+     */
+    router.post('/batch/pause', auditAction('batch-paused'), requireRole('operator'), batchControlHandler(jobQueue.pauseBatch));
+    
+    /**
+     * @route POST /api/batch/resume
+     * @description Resume a paused batch from where it stopped
+     * @access Operator
+     */
+    router.post('/batch/resume', auditAction('batch-resumed'), requireRole('operator'), batchControlHandler(jobQueue.resumeBatch));
+    
+    /**
+     * @route POST /api/batch/cancel
+     * @description Cancel the running batch, or the paused one if nothing is running
+     * @access Operator
+     */
+    router.post('/batch/cancel', auditAction('batch-cancelled'), requireRole('operator'), batchControlHandler(jobQueue.cancelBatch));
+    
+    /**
+     * @route GET /api/consent
+     * @description List consent (opt-in) records, optionally filtered by number
+     * @access Viewer
+     */
+    router.get('/consent', requireRole('viewer'), (req, res) => {
+        const records = req.query.number
+            ? [getConsent(req.query.number)].filter(Boolean)
+            : getConsentRecords();
         
         res.json({
             success: true,
-            message: 'Protection mode disabled'
+            count: records.length,
+            consent: records
         });
     });
     
     /**
-     * @route POST /api/add-members
-     * @description Add members to WhatsApp group
-     * @access Public
-     */
-    router.post('/add-members', [
-        body('groupId').notEmpty().withMessage('Group ID is required'),
-        body('numbers').isArray().withMessage('Numbers must be an array'),
-        body('numbers.*').matches(/^\d+$/).withMessage('Invalid phone number format'),
-        body('message').optional().isString().withMessage('Message must be a string')
-    ], async (req, res, next) => {
+     * @route POST /api/consent
+     * @description Record that numbers opted in to being added to groups
+     * @access Operator
+     */
+    router.post('/consent', auditAction('consent-recorded'), requireRole('operator'), [
+        ...registerNumbersValidation,
+        body('source').isString().notEmpty().withMessage('Opt-in source is required'),
+        body('groups').optional().isArray().withMessage('Groups must be an array of group IDs'),
+        body('consentedAt').optional().isISO8601().withMessage('consentedAt must be an ISO 8601 date')
+    ], (req, res, next) => {
         try {
             // Check for validation errors
             const errors = validationResult(req);
@@ -106,35 +1354,22 @@ function apiRoutes(whatsappClient, io) {
                 });
             }
             
-            const { groupId, numbers, message } = req.body;
-            
-        // Check WhatsApp client status - use both info and authentication flag
-        if (!whatsappClient.info && !global.whatsappAuthenticated) {
-            return res.status(503).json({ 
-                success: false, 
-                message: 'WhatsApp not connected. Please scan the QR code first.' 
-            });
-        }
-            
-            // Validate group ID format
-            if (!whatsappClient.isGroupId(groupId) && !whatsappClient.isInvitationLink(groupId)) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Invalid group ID or invitation link format'
-                });
-            }
+            const { numbers, source, groups, consentedAt } = req.body;
+            const records = numbers.map(number => recordConsent({
+                number,
+                source,
+                consentedAt,
+                groups: groups && groups.length > 0 ? groups : ['*']
+            }, false));
+            saveConsentRecords();
             
-            // Check for empty numbers array
-            if (numbers.length === 0) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'No phone numbers provided'
-                });
-            }
+            logger.info(`Recorded consent for ${records.length} numbers from source "${source}"`);
             
-            // Process the request
-            const result = await whatsappClient.processGroupAddition(groupId, numbers, message);
-            res.json(result);
+            res.status(201).json({
+                success: true,
+                count: records.length,
+                consent: records
+            });
             
         } catch (err) {
             next(err);
@@ -142,11 +1377,11 @@ function apiRoutes(whatsappClient, io) {
     });
     
     /**
-     * @route POST /api/upload-csv
-     * @description Upload and parse CSV file with phone numbers
-     * @access Public
+     * @route POST /api/consent/import
+     * @description Import consent records from a CSV file (number, source, groups, consentedAt columns)
+     * @access Operator
      */
-    router.post('/upload-csv', async (req, res, next) => {
+    router.post('/consent/import', auditAction('consent-imported'), requireRole('operator'), async (req, res, next) => {
         try {
             if (!req.files || !req.files.csv) {
                 return res.status(400).json({ 
@@ -165,45 +1400,56 @@ function apiRoutes(whatsappClient, io) {
                 });
             }
             
-            // Validate file size (5MB limit)
-            if (csvFile.size > 5 * 1024 * 1024) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'File size exceeds 5MB limit'
-                });
-            }
-            
-            // Create temporary file path
-            const fs = require('fs');
-            const path = require('path');
-            const uploadPath = path.join(process.cwd(), 'data', csvFile.name);
+            const rows = await readImportFile(csvFile);
+            const defaultSource = req.body.source || `csv-import:${csvFile.name}`;
+            let imported = 0;
+            const rejected = [];
             
-            await csvFile.mv(uploadPath);
-            const numbers = [];
+            const { defaultRegion } = getSessionStats();
             
-            await new Promise((resolve, reject) => {
-                fs.createReadStream(uploadPath)
-                    .pipe(csvParser())
-                    .on('data', (row) => {
-                        const number = row.number || row.phone || row.phoneNumber || 
-                                    row.contact || row.mobile || Object.values(row)[0];
-                        if (number) {
-                            const cleaned = number.toString().trim().replace(/[^0-9]/g, '');
-                            if (cleaned) numbers.push(cleaned);
-                        }
-                    })
-                    .on('end', () => resolve())
-                    .on('error', reject);
+            rows.forEach((row, index) => {
+                const rawNumber = (getRowPhoneNumber(row) || '').toString().trim();
+                if (!rawNumber) {
+                    rejected.push({ row: index + 2, reason: 'Missing phone number' });
+                    return;
+                }
+                
+                const normalized = normalizePhoneNumber(rawNumber, defaultRegion);
+                if (!normalized.isValid) {
+                    rejected.push({ row: index + 2, number: rawNumber, reason: normalized.reason });
+                    return;
+                }
+                const number = normalized.digits;
+                
+                const consentedAt = row.consentedAt || row.timestamp || row.date;
+                if (consentedAt && isNaN(Date.parse(consentedAt))) {
+                    rejected.push({ row: index + 2, number, reason: `Invalid consent date "${consentedAt}"` });
+                    return;
+                }
+                
+                // Groups may be separated by semicolons or pipes within a single column
+                const groups = (row.groups || row.group || '')
+                    .split(/[;|]/)
+                    .map(group => group.trim())
+                    .filter(Boolean);
+                
+                recordConsent({
+                    number: normalized.e164,
+                    source: row.source || defaultSource,
+                    consentedAt: consentedAt ? new Date(consentedAt).toISOString() : undefined,
+                    groups: groups.length > 0 ? groups : ['*']
+                }, false);
+                imported++;
             });
             
-            // Clean up uploaded file
-            await fs.promises.unlink(uploadPath);
+            saveConsentRecords();
+            logger.info(`Imported ${imported} consent records from ${csvFile.name}`);
             
-            res.json({ 
-                success: true, 
-                count: numbers.length, 
-                numbers,
-                message: `Found ${numbers.length} valid phone numbers in the CSV file`
+            res.json({
+                success: true,
+                imported,
+                rejected,
+                message: `Imported ${imported} consent records${rejected.length > 0 ? `, ${rejected.length} rows rejected` : ''}`
             });
             
         } catch (err) {
@@ -212,38 +1458,97 @@ function apiRoutes(whatsappClient, io) {
     });
     
     /**
-     * @route POST /api/resume-batch
-     * @description Resume interrupted batch process
-     * @access Public
+     * @route DELETE /api/consent/:number
+     * @description Withdraw the consent record of a number
+     * @access Operator
      */
-    router.post('/resume-batch', async (req, res, next) => {
+    router.delete('/consent/:number', auditAction('consent-removed'), requireRole('operator'), (req, res, next) => {
         try {
-            const sessionStats = getSessionStats();
-            
-            if (sessionStats.isAddingMembers) {
-                return res.status(409).json({ 
-                    success: false, 
-                    message: 'Already adding members to a group' 
-                });
+            if (!removeConsent(req.params.number)) {
+                throw createError('No consent record found for this number', 404);
             }
             
-            if (!sessionStats.currentBatch || sessionStats.currentBatch.length === 0 || !sessionStats.lastGroupId) {
-                return res.status(404).json({ 
+            logger.info(`Consent withdrawn for ${req.params.number}`);
+            
+            res.json({
+                success: true,
+                message: 'Consent record removed'
+            });
+            
+        } catch (err) {
+            next(err);
+        }
+    });
+    
+    /**
+     * @route GET /api/suppression
+     * @description List numbers that must never be added to a group
+     * @access Viewer
+     */
+    router.get('/suppression', requireRole('viewer'), (req, res) => {
+        const suppressed = getSuppressionList();
+        
+        res.json({
+            success: true,
+            count: suppressed.length,
+            suppressed
+        });
+    });
+    
+    /**
+     * @route POST /api/suppression
+     * @description Add numbers to the do-not-add list
+     * @access Operator
+     */
+    router.post('/suppression', auditAction('suppression-added'), requireRole('operator'), [
+        ...registerNumbersValidation,
+        body('reason').optional().isString().withMessage('Reason must be a string')
+    ], (req, res, next) => {
+        try {
+            // Check for validation errors
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ 
                     success: false, 
-                    message: 'No interrupted batch found to resume' 
+                    message: 'Validation error',
+                    errors: errors.array() 
                 });
             }
             
-            const remainingNumbers = sessionStats.currentBatch.slice(sessionStats.currentBatchIndex);
+            const { numbers, reason } = req.body;
+            const suppressed = numbers.map(number => addToSuppressionList({ number, reason }, false));
+            saveSuppressionList();
             
-            logger.info(`Resuming batch with ${remainingNumbers.length} remaining numbers for group ${sessionStats.lastGroupId}`);
+            logger.info(`Added ${suppressed.length} numbers to the suppression list`);
             
-            const result = await whatsappClient.processGroupAddition(
-                sessionStats.lastGroupId, 
-                sessionStats.currentBatch
-            );
+            res.status(201).json({
+                success: true,
+                count: suppressed.length,
+                suppressed
+            });
             
-            res.json(result);
+        } catch (err) {
+            next(err);
+        }
+    });
+    
+    /**
+     * @route DELETE /api/suppression/:number
+     * @description Remove a number from the do-not-add list
+     * @access Operator
+     */
+    router.delete('/suppression/:number', auditAction('suppression-removed'), requireRole('operator'), (req, res, next) => {
+        try {
+            if (!removeFromSuppressionList(req.params.number)) {
+                throw createError('Number is not on the suppression list', 404);
+            }
+            
+            logger.info(`Removed ${req.params.number} from the suppression list`);
+            
+            res.json({
+                success: true,
+                message: 'Number removed from suppression list'
+            });
             
         } catch (err) {
             next(err);
@@ -252,15 +1557,25 @@ function apiRoutes(whatsappClient, io) {
     
     /**
      * @route GET /api/failed-numbers
-     * @description Get list of failed phone numbers
-     * @access Public
+     * @description Get list of failed phone numbers, optionally filtered by ?errorType=
+     * @access Viewer
      */
-    router.get('/failed-numbers', (req, res) => {
-        const failedNumbers = getFailedNumbers();
+    router.get('/failed-numbers', requireRole('viewer'), (req, res) => {
+        const allFailedNumbers = getFailedNumbers();
+        const failedNumbers = req.query.errorType
+            ? allFailedNumbers.filter(record => record.errorType === req.query.errorType)
+            : allFailedNumbers;
+        
+        // Totals per error type across the whole list
+        const byErrorType = {};
+        allFailedNumbers.forEach(record => {
+            byErrorType[record.errorType] = (byErrorType[record.errorType] || 0) + 1;
+        });
         
         res.json({
             success: true,
             count: failedNumbers.length,
+            byErrorType,
             failedNumbers
         });
     });
@@ -268,9 +1583,9 @@ function apiRoutes(whatsappClient, io) {
     /**
      * @route POST /api/clear-failed-numbers
      * @description Clear failed numbers list
-     * @access Public
+     * @access Operator
      */
-    router.post('/clear-failed-numbers', (req, res) => {
+    router.post('/clear-failed-numbers', auditAction('failed-numbers-cleared'), requireRole('operator'), (req, res) => {
         clearFailedNumbers();
         
         res.json({
@@ -282,15 +1597,26 @@ function apiRoutes(whatsappClient, io) {
     /**
      * @route POST /api/config
      * @description Update application configuration
-     * @access Public
+     * @access Admin
      */
-    router.post('/config', [
+    router.post('/config', auditAction('config-changed'), requireRole('admin'), [
         body('dailyLimit').optional().isInt({ min: 1, max: 50000 }),
         body('hourlyLimit').optional().isInt({ min: 1, max: 5000 }),
         body('maxBatchSize').optional().isInt({ min: 10, max: 5000 }),
         body('minDelay').optional().isInt({ min: 10, max: 300 }),
         body('maxDelay').optional().isInt({ min: 20, max: 600 }),
-        body('patternVariation').optional().isBoolean()
+        body('patternVariation').optional().isBoolean(),
+        body('requireConsent').optional().isBoolean(),
+        body('suppressionKeywords').optional().isArray({ min: 1 }),
+        body('suppressionKeywords.*').optional().isString().trim().notEmpty(),
+        body('defaultRegion').optional().isString()
+            .custom(region => region === '' || isSupportedRegion(region))
+            .withMessage('defaultRegion must be an ISO country code such as IN or NL, or empty'),
+        body('inviteFallback').optional().isBoolean(),
+        body('groupSizeLimit').optional().isInt({ min: 2, max: 5000 }),
+        body('inviteTemplate').optional().isString().notEmpty()
+            .bail()
+            .custom(template => checkInviteTemplate(template))
     ], (req, res, next) => {
         try {
             // Check for validation errors
@@ -313,6 +1639,12 @@ function apiRoutes(whatsappClient, io) {
             if (req.body.minDelay) updates.minDelay = parseInt(req.body.minDelay);
             if (req.body.maxDelay) updates.maxDelay = parseInt(req.body.maxDelay);
             if (req.body.patternVariation !== undefined) updates.patternVariation = req.body.patternVariation;
+            if (req.body.requireConsent !== undefined) updates.requireConsent = String(req.body.requireConsent) === 'true';
+            if (req.body.suppressionKeywords) updates.suppressionKeywords = req.body.suppressionKeywords.map(keyword => keyword.toUpperCase());
+            if (req.body.defaultRegion !== undefined) updates.defaultRegion = req.body.defaultRegion.toUpperCase();
+            if (req.body.inviteFallback !== undefined) updates.inviteFallback = String(req.body.inviteFallback) === 'true';
+            if (req.body.inviteTemplate) updates.inviteTemplate = req.body.inviteTemplate;
+            if (req.body.groupSizeLimit) updates.groupSizeLimit = parseInt(req.body.groupSizeLimit);
             
             // Validate that minDelay is less than maxDelay
             if (updates.minDelay && updates.maxDelay && updates.minDelay >= updates.maxDelay) {
@@ -349,7 +1681,13 @@ function apiRoutes(whatsappClient, io) {
                     maxBatchSize: getSessionStats().maxBatchSize,
                     minDelay: getSessionStats().minDelay,
                     maxDelay: getSessionStats().maxDelay,
-                    patternVariation: getSessionStats().patternVariation
+                    patternVariation: getSessionStats().patternVariation,
+                    requireConsent: getSessionStats().requireConsent,
+                    suppressionKeywords: getSessionStats().suppressionKeywords,
+                    defaultRegion: getSessionStats().defaultRegion,
+                    inviteFallback: getSessionStats().inviteFallback,
+                    inviteTemplate: getSessionStats().inviteTemplate,
+                    groupSizeLimit: getSessionStats().groupSizeLimit
                 }
             });
             
@@ -361,9 +1699,9 @@ function apiRoutes(whatsappClient, io) {
     /**
      * @route GET /api/logs
      * @description Get application logs for a specific date
-     * @access Public
+     * @access Viewer
      */
-    router.get('/logs', (req, res) => {
+    router.get('/logs', requireRole('viewer'), (req, res) => {
         const date = req.query.date || new Date().toISOString().split('T')[0];
         const logs = getLogs(date);
         
@@ -377,9 +1715,9 @@ function apiRoutes(whatsappClient, io) {
     /**
      * @route GET /api/log-dates
      * @description Get available log dates
-     * @access Public
+     * @access Viewer
      */
-    router.get('/log-dates', (req, res) => {
+    router.get('/log-dates', requireRole('viewer'), (req, res) => {
         const dates = getLogDates();
         
         res.json({
@@ -388,6 +1726,75 @@ function apiRoutes(whatsappClient, io) {
         });
     });
     
+    /**
+     * @route GET /api/audit
+     * @description Get the audit log, optionally filtered by time range, actor and action, as JSON or CSV
+     * @access Admin
+     */
+    router.get('/audit', requireRole('admin'), [
+        query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date or time'),
+        query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date or time'),
+        query('actor').optional().isString(),
+        query('action').optional().isString(),
+        query('format').optional().isIn(['csv', 'json']).withMessage('Format must be csv or json')
+    ], (req, res, next) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({ 
+                    success: false, 
+                    message: 'Validation error',
+                    errors: errors.array() 
+                });
+            }
+            
+            const { from, to, actor, action, format = 'json' } = req.query;
+            
+            // A plain date as the end of the range includes that whole day
+            const toDate = to && /^\d{4}-\d{2}-\d{2}$/.test(to) ? new Date(`${to}T23:59:59.999Z`) : to && new Date(to);
+            
+            const entries = getAuditEntries({
+                from: from && new Date(from),
+                to: toDate,
+                actor,
+                action
+            });
+            
+            if (format === 'json') {
+                return res.json({
+                    success: true,
+                    count: entries.length,
+                    entries
+                });
+            }
+            
+            const rows = entries.map(entry => ({
+                timestamp: entry.timestamp,
+                actor: entry.actor,
+                actorType: entry.actorType,
+                role: entry.role,
+                action: entry.action,
+                method: entry.method,
+                path: entry.path,
+                params: JSON.stringify(entry.params),
+                status: entry.outcome.status,
+                success: entry.outcome.success,
+                message: entry.outcome.message,
+                jobId: entry.outcome.jobId,
+                ip: entry.ip
+            }));
+            
+            res.attachment(`audit-${new Date().toISOString().slice(0, 10)}.csv`);
+            res.type('text/csv').send(toCsv(
+                ['timestamp', 'actor', 'actorType', 'role', 'action', 'method', 'path', 'params', 'status', 'success', 'message', 'jobId', 'ip'],
+                rows
+            ));
+            
+        } catch (err) {
+            next(err);
+        }
+    });
+    
     return router;
 }
 
@@ -0,0 +1,261 @@
+/**
+ * Auth Routes
+ * Login, logout, user accounts and API tokens
+ */
+
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { createError } = require('../middleware/error.middleware');
+const { requireRole } = require('../middleware/auth.middleware');
+const { auditAction } = require('../middleware/audit.middleware');
+const {
+    ROLES,
+    SESSION_COOKIE,
+    SESSION_TTL_MS,
+    parseCookies,
+    login,
+    logout,
+    listUsers,
+    createUser,
+    updateUser,
+    deleteUser,
+    listApiTokens,
+    createApiToken,
+    revokeApiToken
+} = require('../services/auth.service');
+
+// Validation rules shared by account creation and updates
+const passwordValidation = (field) => body(field).isString().isLength({ min: 8, max: 200 }).withMessage('Password must be at least 8 characters');
+const roleValidation = (field) => body(field).isIn(ROLES).withMessage(`Role must be one of ${ROLES.join(', ')}`);
+
+/**
+ * Send a 400 response when request validation failed
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {boolean} Whether the request is valid
+ */
+function checkValidation(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        res.status(400).json({
+            success: false,
+            message: 'Validation error',
+            errors: errors.array()
+        });
+        return false;
+    }
+    
+    return true;
+}
+
+/**
+ * Configure auth routes
+ * @returns {Object} Express router
+ */
+function authRoutes() {
+    const router = express.Router();
+    
+    /**
+     * @route POST /api/auth/login
+     * @description Log in with username and password and receive a session cookie
+     * @access Public
+     */
+    router.post('/login', auditAction('session-login', { actorField: 'username' }), [
+        body('username').isString().notEmpty().withMessage('Username is required'),
+        body('password').isString().notEmpty().withMessage('Password is required')
+    ], (req, res, next) => {
+        try {
+            if (!checkValidation(req, res)) return;
+            
+            const session = login(req.body.username, req.body.password);
+            if (!session) {
+                throw createError('Invalid username or password', 401, 'INVALID_CREDENTIALS');
+            }
+            
+            res.cookie(SESSION_COOKIE, session.token, {
+                httpOnly: true,
+                sameSite: 'strict',
+                secure: req.secure,
+                maxAge: SESSION_TTL_MS,
+                path: '/'
+            });
+            
+            res.json({
+                success: true,
+                user: session.user,
+                expiresAt: session.expiresAt
+            });
+        
+        } catch (err) {
+            next(err);
+        }
+    });
+    
+    /**
+     * @route POST /api/auth/logout
+     * @description End the current session
+     * @access Public
+     */
+    router.post('/logout', auditAction('session-logout'), (req, res) => {
+        const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+        if (token) logout(token);
+        
+        res.clearCookie(SESSION_COOKIE, { path: '/' });
+        res.json({ success: true, message: 'Logged out' });
+    });
+    
+    /**
+     * @route GET /api/auth/me
+     * @description Get the user behind the current session or API token
+     * @access Viewer
+     */
+    router.get('/me', requireRole('viewer'), (req, res) => {
+        res.json({ success: true, user: req.user });
+    });
+    
+    /**
+     * @route GET /api/auth/users
+     * @description List user accounts
+     * @access Admin
+     */
+    router.get('/users', requireRole('admin'), (req, res) => {
+        const users = listUsers();
+        res.json({ success: true, count: users.length, users });
+    });
+    
+    /**
+     * @route POST /api/auth/users
+     * @description Create a user account
+     * @access Admin
+     */
+    router.post('/users', auditAction('user-created'), requireRole('admin'), [
+        body('username').isString().trim().matches(/^[\w.@-]{3,50}$/).withMessage('Username must be 3 to 50 letters, digits or . _ @ -'),
+        passwordValidation('password'),
+        roleValidation('role')
+    ], (req, res, next) => {
+        try {
+            if (!checkValidation(req, res)) return;
+            
+            const result = createUser(req.body);
+            if (!result.success) {
+                throw createError(result.message, result.status, result.code);
+            }
+            
+            res.status(201).json(result);
+        
+        } catch (err) {
+            next(err);
+        }
+    });
+    
+    /**
+     * @route POST /api/auth/users/:username
+     * @description Change a user's password or role; users may change their own password
+     * @access Viewer (own password) / Admin
+     */
+    router.post('/users/:username', auditAction('user-updated'), requireRole('viewer'), [
+        passwordValidation('password').optional(),
+        roleValidation('role').optional()
+    ], (req, res, next) => {
+        try {
+            if (!checkValidation(req, res)) return;
+            
+            const isSelf = req.user.type === 'session' && req.user.name === req.params.username;
+            if (req.user.role !== 'admin' && (!isSelf || req.body.role)) {
+                throw createError('Only admins can change other accounts or roles', 403, 'FORBIDDEN');
+            }
+            
+            const result = updateUser(req.params.username, req.body);
+            if (!result.success) {
+                throw createError(result.message, result.status, result.code);
+            }
+            
+            res.json(result);
+        
+        } catch (err) {
+            next(err);
+        }
+    });
+    
+    /**
+     * @route DELETE /api/auth/users/:username
+     * @description Delete a user account
+     * @access Admin
+     */
+    router.delete('/users/:username', auditAction('user-deleted'), requireRole('admin'), (req, res, next) => {
+        try {
+            const result = deleteUser(req.params.username);
+            if (!result.success) {
+                throw createError(result.message, result.status, result.code);
+            }
+            
+            res.json(result);
+        
+        } catch (err) {
+            next(err);
+        }
+    });
+    
+    /**
+     * @route GET /api/auth/tokens
+     * @description List API tokens
+     * @access Admin
+     */
+    router.get('/tokens', requireRole('admin'), (req, res) => {
+        const tokens = listApiTokens();
+        res.json({ success: true, count: tokens.length, tokens });
+    });
+    
+    /**
+     * @route POST /api/auth/tokens
+     * @description Create an API token; the token itself is only returned in this response
+     * @access Admin
+     */
+    router.post('/tokens', auditAction('token-created'), requireRole('admin'), [
+        body('name').isString().trim().isLength({ min: 1, max: 100 }).withMessage('Token name is required'),
+        roleValidation('role')
+    ], (req, res, next) => {
+        try {
+            if (!checkValidation(req, res)) return;
+            
+            const { token, details } = createApiToken({
+                name: req.body.name,
+                role: req.body.role,
+                createdBy: req.user.name
+            });
+            
+            res.status(201).json({
+                success: true,
+                message: 'API token created. Store it now; it cannot be shown again.',
+                token,
+                details
+            });
+        
+        } catch (err) {
+            next(err);
+        }
+    });
+    
+    /**
+     * @route DELETE /api/auth/tokens/:id
+     * @description Revoke an API token
+     * @access Admin
+     */
+    router.delete('/tokens/:id', auditAction('token-revoked'), requireRole('admin'), (req, res, next) => {
+        try {
+            const result = revokeApiToken(req.params.id);
+            if (!result.success) {
+                throw createError(result.message, result.status, result.code);
+            }
+            
+            res.json(result);
+        
+        } catch (err) {
+            next(err);
+        }
+    });
+    
+    return router;
+}
+
+module.exports = authRoutes;
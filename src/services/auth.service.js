@@ -0,0 +1,403 @@
+/**
+ * Auth Service
+ * Manages user accounts, login sessions, API tokens and roles
+ */
+
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { getUsers, saveUsers, getApiTokens, saveApiTokens } = require('./storage.service');
+
+// Roles from least to most privileged; each role can do everything the ones before it can
+const ROLES = ['viewer', 'operator', 'admin'];
+
+const SESSION_COOKIE = 'wgm_session';
+const SESSION_TTL_MS = (parseInt(process.env.SESSION_TTL_HOURS) || 12) * 60 * 60 * 1000;
+
+// Every request with an API token marks it as used; the time is only updated (and saved) this often
+const TOKEN_USE_PRECISION_MS = 60 * 1000;
+
+// Login sessions keyed by session token; kept in memory, so a restart logs everyone out
+const sessions = new Map();
+
+// Called after a logout, account change or token revocation so open connections can be checked again
+const accessChangeListeners = [];
+
+/**
+ * Hash a password with a random salt
+ * @param {string} password - Plain text password
+ * @returns {string} Salt and scrypt hash
+ */
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+    return `scrypt:${salt}:${hash}`;
+}
+
+/**
+ * Check a password against a stored hash
+ * @param {string} password - Plain text password
+ * @param {string} stored - Hash created by hashPassword
+ * @returns {boolean} Whether the password matches
+ */
+function verifyPassword(password, stored) {
+    const [scheme, salt, hash] = String(stored).split(':');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+    
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(String(password), salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Hash an API or session token for storage and lookup
+ * @param {string} token - Plain token
+ * @returns {string} SHA-256 hex digest
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Check whether a role includes the rights of another role
+ * @param {string} role - Role the user has
+ * @param {string} required - Role needed
+ * @returns {boolean} Whether the role is sufficient
+ */
+function hasRole(role, required) {
+    return ROLES.indexOf(role) >= ROLES.indexOf(required) && ROLES.includes(role);
+}
+
+/**
+ * Register a callback for when sessions, accounts or API tokens change
+ * @param {Function} listener - Called without arguments after the change
+ */
+function onAccessChange(listener) {
+    accessChangeListeners.push(listener);
+}
+
+/**
+ * Let listeners know that some credentials may no longer be valid or have another role
+ */
+function notifyAccessChange() {
+    accessChangeListeners.forEach(listener => {
+        try {
+            listener();
+        } catch (err) {
+            logger.error(`Error handling access change: ${err.message}`);
+        }
+    });
+}
+
+/**
+ * Describe a user without the password hash
+ * @param {Object} user - Stored user
+ * @returns {Object} Username, role and creation date
+ */
+function describeUser(user) {
+    return { username: user.username, role: user.role, createdAt: user.createdAt };
+}
+
+/**
+ * Create the first admin account when none exist
+ * Uses ADMIN_USERNAME/ADMIN_PASSWORD, or generates a password that is shown on the console only.
+ */
+function initializeAuth() {
+    if (getUsers().length > 0) return;
+    
+    const username = process.env.ADMIN_USERNAME || 'admin';
+    let password = process.env.ADMIN_PASSWORD;
+    
+    if (!password) {
+        password = crypto.randomBytes(12).toString('base64url');
+        // Console only; never written to the log files
+        logger.warn(`No users found. Created admin account "${username}" with password: ${password}`, false);
+        logger.warn('Change this password after logging in, or set ADMIN_PASSWORD before the first start.');
+    } else {
+        logger.info(`No users found. Created admin account "${username}" from ADMIN_USERNAME/ADMIN_PASSWORD`);
+    }
+    
+    createUser({ username, password, role: 'admin' });
+}
+
+/**
+ * List all user accounts
+ * @returns {Array<Object>} Users without password hashes
+ */
+function listUsers() {
+    return getUsers().map(describeUser);
+}
+
+/**
+ * Create a user account
+ * @param {Object} params - Account details
+ * @param {string} params.username - Unique username
+ * @param {string} params.password - Plain text password
+ * @param {string} params.role - viewer, operator or admin
+ * @returns {Object} Result with success flag, status, code, message and created user
+ */
+function createUser({ username, password, role }) {
+    const users = getUsers();
+    
+    if (users.some(user => user.username === username)) {
+        return { success: false, status: 409, code: 'USER_EXISTS', message: 'Username already exists' };
+    }
+    
+    const user = {
+        username,
+        passwordHash: hashPassword(password),
+        role,
+        createdAt: new Date().toISOString()
+    };
+    users.push(user);
+    saveUsers();
+    
+    logger.info(`Created ${role} account ${username}`);
+    
+    return { success: true, message: 'User created', user: describeUser(user) };
+}
+
+/**
+ * Count admins other than the given user
+ * @param {string} username - User to leave out
+ * @returns {number} Number of other admins
+ */
+function countOtherAdmins(username) {
+    return getUsers().filter(user => user.role === 'admin' && user.username !== username).length;
+}
+
+/**
+ * Change a user's password or role
+ * @param {string} username - User to change
+ * @param {Object} changes - New password and/or role
+ * @returns {Object} Result with success flag, status, code, message and updated user
+ */
+function updateUser(username, { password, role }) {
+    const user = getUsers().find(u => u.username === username);
+    if (!user) {
+        return { success: false, status: 404, code: 'USER_NOT_FOUND', message: 'User not found' };
+    }
+    
+    if (role && role !== 'admin' && user.role === 'admin' && countOtherAdmins(username) === 0) {
+        return { success: false, status: 409, code: 'LAST_ADMIN', message: 'Cannot remove the admin role from the last admin' };
+    }
+    
+    if (password) user.passwordHash = hashPassword(password);
+    if (role) user.role = role;
+    saveUsers();
+    
+    // Existing sessions pick up a new role, but a new password logs the user out everywhere
+    sessions.forEach((session, key) => {
+        if (session.username !== username) return;
+        if (password) sessions.delete(key);
+        else session.role = user.role;
+    });
+    
+    logger.info(`Updated account ${username}`);
+    notifyAccessChange();
+    
+    return { success: true, message: 'User updated', user: describeUser(user) };
+}
+
+/**
+ * Delete a user account and end its sessions
+ * @param {string} username - User to delete
+ * @returns {Object} Result with success flag, status, code and message
+ */
+function deleteUser(username) {
+    const users = getUsers();
+    const index = users.findIndex(user => user.username === username);
+    
+    if (index === -1) {
+        return { success: false, status: 404, code: 'USER_NOT_FOUND', message: 'User not found' };
+    }
+    
+    if (users[index].role === 'admin' && countOtherAdmins(username) === 0) {
+        return { success: false, status: 409, code: 'LAST_ADMIN', message: 'Cannot delete the last admin' };
+    }
+    
+    users.splice(index, 1);
+    saveUsers();
+    
+    sessions.forEach((session, key) => {
+        if (session.username === username) sessions.delete(key);
+    });
+    
+    logger.info(`Deleted account ${username}`);
+    notifyAccessChange();
+    
+    return { success: true, message: 'User deleted' };
+}
+
+/**
+ * Check a username and password and start a session
+ * @param {string} username - Username
+ * @param {string} password - Plain text password
+ * @returns {Object|null} Session token, user and expiry, or null if the credentials are wrong
+ */
+function login(username, password) {
+    const user = getUsers().find(u => u.username === username);
+    
+    if (!user || !verifyPassword(password, user.passwordHash)) {
+        logger.warn(`Failed login for ${username}`);
+        return null;
+    }
+    
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = Date.now() + SESSION_TTL_MS;
+    sessions.set(hashToken(token), { username: user.username, role: user.role, expiresAt });
+    
+    logger.info(`User ${username} logged in`);
+    
+    return { token, user: describeUser(user), expiresAt: new Date(expiresAt).toISOString() };
+}
+
+/**
+ * End a session
+ * @param {string} token - Session token
+ */
+function logout(token) {
+    sessions.delete(hashToken(token));
+    notifyAccessChange();
+}
+
+/**
+ * List all API tokens
+ * @returns {Array<Object>} Tokens without their hashes
+ */
+function listApiTokens() {
+    return getApiTokens().map(({ tokenHash, ...token }) => token);
+}
+
+/**
+ * Create an API token for scripts
+ * @param {Object} params - Token details
+ * @param {string} params.name - Label for the token
+ * @param {string} params.role - viewer, operator or admin
+ * @param {string} params.createdBy - Username of the creator
+ * @returns {Object} Plain token (only shown once) and stored details
+ */
+function createApiToken({ name, role, createdBy }) {
+    const token = `wgm_${crypto.randomBytes(24).toString('hex')}`;
+    const record = {
+        id: crypto.randomBytes(6).toString('hex'),
+        name,
+        role,
+        createdBy,
+        createdAt: new Date().toISOString(),
+        lastUsedAt: null,
+        tokenHash: hashToken(token)
+    };
+    
+    getApiTokens().push(record);
+    saveApiTokens();
+    
+    logger.info(`Created ${role} API token "${name}" for ${createdBy}`);
+    
+    const { tokenHash, ...details } = record;
+    return { token, details };
+}
+
+/**
+ * Revoke an API token
+ * @param {string} id - Token ID
+ * @returns {Object} Result with success flag, status, code and message
+ */
+function revokeApiToken(id) {
+    const tokens = getApiTokens();
+    const index = tokens.findIndex(token => token.id === id);
+    
+    if (index === -1) {
+        return { success: false, status: 404, code: 'TOKEN_NOT_FOUND', message: 'API token not found' };
+    }
+    
+    const [token] = tokens.splice(index, 1);
+    saveApiTokens();
+    
+    logger.info(`Revoked API token "${token.name}"`);
+    notifyAccessChange();
+    
+    return { success: true, message: 'API token revoked' };
+}
+
+/**
+ * Parse a Cookie header
+ * @param {string} header - Cookie header value
+ * @returns {Object} Cookie values by name
+ */
+function parseCookies(header = '') {
+    const cookies = {};
+    
+    String(header).split(';').forEach(part => {
+        const index = part.indexOf('=');
+        if (index === -1) return;
+        
+        const name = part.slice(0, index).trim();
+        const value = part.slice(index + 1).trim();
+        try {
+            cookies[name] = decodeURIComponent(value);
+        } catch (err) {
+            cookies[name] = value;
+        }
+    });
+    
+    return cookies;
+}
+
+/**
+ * Find the user behind a session cookie or API token
+ * Used for both HTTP requests and Socket.IO handshakes.
+ * @param {Object} credentials - Credentials from the request
+ * @param {string} credentials.cookie - Cookie header
+ * @param {string} credentials.authorization - Authorization header ("Bearer <token>")
+ * @param {string} credentials.token - Token passed directly (Socket.IO auth payload)
+ * @returns {Object|null} User with name, role and how they authenticated, or null
+ */
+function resolveUser({ cookie, authorization, token } = {}) {
+    const sessionToken = parseCookies(cookie)[SESSION_COOKIE];
+    if (sessionToken) {
+        const key = hashToken(sessionToken);
+        const session = sessions.get(key);
+        
+        if (session && session.expiresAt > Date.now()) {
+            return { name: session.username, role: session.role, type: 'session' };
+        }
+        sessions.delete(key);
+    }
+    
+    const bearer = /^Bearer\s+(.+)$/i.exec(authorization || '');
+    const apiToken = bearer ? bearer[1].trim() : token;
+    if (apiToken) {
+        const record = getApiTokens().find(t => t.tokenHash === hashToken(apiToken));
+        
+        if (record) {
+            const now = Date.now();
+            if (!record.lastUsedAt || now - Date.parse(record.lastUsedAt) >= TOKEN_USE_PRECISION_MS) {
+                record.lastUsedAt = new Date(now).toISOString();
+                saveApiTokens();
+            }
+            return { name: `token:${record.name}`, role: record.role, type: 'token', tokenId: record.id };
+        }
+    }
+    
+    return null;
+}
+
+module.exports = {
+    ROLES,
+    SESSION_COOKIE,
+    SESSION_TTL_MS,
+    hasRole,
+    onAccessChange,
+    initializeAuth,
+    listUsers,
+    createUser,
+    updateUser,
+    deleteUser,
+    login,
+    logout,
+    listApiTokens,
+    createApiToken,
+    revokeApiToken,
+    parseCookies,
+    resolveUser
+};
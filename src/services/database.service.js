@@ -0,0 +1,464 @@
+/**
+ * Database Service
+ * SQLite persistence for the storage service: stats, settings, batches, jobs, failed numbers and registers
+ */
+
+const logger = require('../utils/logger');
+
+// Stored in the settings table so later schema changes can tell which version a file has
+const SCHEMA_VERSION = 1;
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS settings (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS batch_items (
+        position INTEGER PRIMARY KEY,
+        number TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS failed_numbers (
+        number TEXT PRIMARY KEY,
+        count INTEGER NOT NULL,
+        first_failure TEXT,
+        last_failure TEXT,
+        reason TEXT,
+        error_type TEXT,
+        operation TEXT
+    );
+    CREATE TABLE IF NOT EXISTS jobs (
+        id TEXT PRIMARY KEY,
+        position INTEGER NOT NULL,
+        type TEXT,
+        status TEXT,
+        items_field TEXT NOT NULL,
+        data TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS job_items (
+        job_id TEXT NOT NULL,
+        position INTEGER NOT NULL,
+        item TEXT NOT NULL,
+        PRIMARY KEY (job_id, position)
+    );
+    CREATE TABLE IF NOT EXISTS job_results (
+        job_id TEXT NOT NULL,
+        position INTEGER NOT NULL,
+        data TEXT NOT NULL,
+        PRIMARY KEY (job_id, position)
+    );
+    CREATE TABLE IF NOT EXISTS consent (
+        number TEXT PRIMARY KEY,
+        data TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS suppression (
+        number TEXT PRIMARY KEY,
+        data TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS users (
+        username TEXT PRIMARY KEY,
+        data TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS api_tokens (
+        id TEXT PRIMARY KEY,
+        data TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS created_groups (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        data TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS audit (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        timestamp TEXT NOT NULL,
+        actor TEXT,
+        action TEXT,
+        data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS audit_timestamp ON audit (timestamp);
+`;
+
+// Registers stored as whole documents keyed by one column
+const COLLECTIONS = {
+    consent: 'number',
+    suppression: 'number',
+    users: 'username',
+    api_tokens: 'id'
+};
+
+// Open database connection, or null while the JSON files are used
+let db = null;
+
+// The batch array last written to batch_items; the items are only rewritten when it changes
+let savedBatch = null;
+
+/**
+ * Open (and create if needed) the SQLite database
+ * @param {string} file - Database file path
+ * @returns {boolean} Whether the database could be opened
+ */
+function openDatabase(file) {
+    let Database;
+    try {
+        Database = require('better-sqlite3');
+    } catch (err) {
+        logger.error(`SQLite driver not available (${err.message}). Run npm install or set STORAGE_DRIVER=json.`);
+        return false;
+    }
+    
+    try {
+        db = new Database(file);
+        db.pragma('journal_mode = WAL');
+        db.pragma('synchronous = NORMAL');
+        db.exec(SCHEMA);
+        
+        if (!getSetting('schemaVersion')) {
+            setSetting('schemaVersion', SCHEMA_VERSION);
+        }
+        
+        logger.info(`Opened SQLite database ${file}`);
+        return true;
+    } catch (err) {
+        logger.error(`Error opening SQLite database: ${err.message}`);
+        db = null;
+        return false;
+    }
+}
+
+/**
+ * Check whether the SQLite database is in use
+ * @returns {boolean} Whether the database is open
+ */
+function isDatabaseOpen() {
+    return db !== null;
+}
+
+/**
+ * Close the database, e.g. on shutdown
+ */
+function closeDatabase() {
+    if (db) {
+        db.close();
+        db = null;
+        savedBatch = null;
+    }
+}
+
+/**
+ * Run several writes as one transaction
+ * @param {Function} fn - Function doing the writes
+ * @returns {*} Return value of fn
+ */
+function transaction(fn) {
+    return db.transaction(fn)();
+}
+
+/**
+ * Read a setting
+ * @param {string} key - Setting name
+ * @returns {*} Stored value or undefined
+ */
+function getSetting(key) {
+    const row = db.prepare('SELECT value FROM settings WHERE key = ?').get(key);
+    return row ? JSON.parse(row.value) : undefined;
+}
+
+/**
+ * Store a setting
+ * @param {string} key - Setting name
+ * @param {*} value - JSON-serializable value
+ */
+function setSetting(key, value) {
+    db.prepare('INSERT INTO settings (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value')
+        .run(key, JSON.stringify(value));
+}
+
+/**
+ * Check whether the database holds any application data yet
+ * @returns {boolean} Whether nothing but the schema version has been stored
+ */
+function isEmpty() {
+    const settings = db.prepare("SELECT COUNT(*) AS count FROM settings WHERE key != 'schemaVersion'").get().count;
+    const jobs = db.prepare('SELECT COUNT(*) AS count FROM jobs').get().count;
+    const users = db.prepare('SELECT COUNT(*) AS count FROM users').get().count;
+    return settings + jobs + users === 0;
+}
+
+/**
+ * Save the current batch position, and its numbers when a new batch started
+ * @param {Object} batch - Batch state
+ * @param {Array<string>} batch.currentBatch - Numbers of the batch
+ * @param {number} batch.currentBatchIndex - Index of the number being processed
+ * @param {string} batch.lastGroupId - Group the batch adds to
+ * @param {boolean} batch.paused - Whether the batch was paused by the user
+ */
+function saveBatch({ currentBatch, currentBatchIndex, lastGroupId, paused }) {
+    transaction(() => {
+        if (currentBatch !== savedBatch) {
+            db.prepare('DELETE FROM batch_items').run();
+            const insert = db.prepare('INSERT INTO batch_items (position, number) VALUES (?, ?)');
+            currentBatch.forEach((number, position) => insert.run(position, number));
+            savedBatch = currentBatch;
+        }
+        
+        setSetting('batch', { currentBatchIndex, lastGroupId, paused });
+    });
+}
+
+/**
+ * Save or update one failed number
+ * @param {string} number - Formatted number (digits@c.us)
+ * @param {Object} record - Count, first/last failure, reason, error type and operation
+ */
+function saveFailedNumber(number, record) {
+    db.prepare(`
+        INSERT INTO failed_numbers (number, count, first_failure, last_failure, reason, error_type, operation)
+        VALUES (@number, @count, @firstFailure, @lastFailure, @reason, @errorType, @operation)
+        ON CONFLICT(number) DO UPDATE SET
+            count = excluded.count,
+            last_failure = excluded.last_failure,
+            reason = excluded.reason,
+            error_type = excluded.error_type,
+            operation = excluded.operation
+    `).run({
+        number,
+        count: record.count,
+        firstFailure: record.firstFailure || null,
+        lastFailure: record.lastFailure || null,
+        reason: record.reason || null,
+        errorType: record.errorType || null,
+        operation: record.operation || null
+    });
+}
+
+/**
+ * Remove all failed numbers
+ */
+function clearFailedNumbers() {
+    db.prepare('DELETE FROM failed_numbers').run();
+}
+
+/**
+ * Replace the contents of a register (consent, suppression, users or api_tokens)
+ * @param {string} name - Table name
+ * @param {Array<Array>} entries - [key, record] pairs
+ */
+function replaceCollection(name, entries) {
+    if (!COLLECTIONS[name]) {
+        throw new Error(`Unknown collection: ${name}`);
+    }
+    
+    transaction(() => {
+        db.prepare(`DELETE FROM ${name}`).run();
+        const insert = db.prepare(`INSERT INTO ${name} (${COLLECTIONS[name]}, data) VALUES (?, ?)`);
+        entries.forEach(([key, record]) => insert.run(key, JSON.stringify(record)));
+    });
+}
+
+/**
+ * Read a register
+ * @param {string} name - Table name
+ * @returns {Array<Array>} [key, record] pairs
+ */
+function loadCollection(name) {
+    return db.prepare(`SELECT ${COLLECTIONS[name]} AS key, data FROM ${name} ORDER BY rowid`).all()
+        .map(row => [row.key, JSON.parse(row.data)]);
+}
+
+/**
+ * Store a group created through the API
+ * @param {Object} record - Created group
+ */
+function addCreatedGroup(record) {
+    db.prepare('INSERT INTO created_groups (data) VALUES (?)').run(JSON.stringify(record));
+}
+
+/**
+ * Get the field holding the items of a job
+ * @param {Object} job - Job record
+ * @returns {string} 'groupIds' for manage-groups jobs, 'numbers' otherwise
+ */
+function getItemsField(job) {
+    return Array.isArray(job.groupIds) ? 'groupIds' : 'numbers';
+}
+
+/**
+ * Save the per-number outcomes of a job that are not stored yet
+ * Outcomes are only ever appended, so each one is written once; a shorter list means the results were reset.
+ * @param {string} jobId - Job ID
+ * @param {Array<Object>} details - Per-number outcomes in processing order
+ */
+function saveJobResults(jobId, details) {
+    let { count } = db.prepare('SELECT COUNT(*) AS count FROM job_results WHERE job_id = ?').get(jobId);
+    
+    if (details.length < count) {
+        db.prepare('DELETE FROM job_results WHERE job_id = ?').run(jobId);
+        count = 0;
+    }
+    
+    const insert = db.prepare('INSERT INTO job_results (job_id, position, data) VALUES (?, ?, ?)');
+    details.slice(count).forEach((detail, index) => insert.run(jobId, count + index, JSON.stringify(detail)));
+}
+
+/**
+ * Save one job; its numbers (or group IDs) are written once, when the job is first stored,
+ * and its per-number outcomes go to job_results as they come in
+ * @param {Object} job - Job record
+ * @param {number} position - Position in the queue
+ */
+function saveJob(job, position) {
+    const itemsField = getItemsField(job);
+    const { [itemsField]: items = [], ...data } = job;
+    const { details = [], ...results } = job.results || {};
+    if (job.results) data.results = results;
+    
+    transaction(() => {
+        saveJobResults(job.id, details);
+        
+        const result = db.prepare(`
+            INSERT INTO jobs (id, position, type, status, items_field, data) VALUES (?, ?, ?, ?, ?, ?)
+            ON CONFLICT(id) DO NOTHING
+        `).run(job.id, position, job.type, job.status, itemsField, JSON.stringify(data));
+        
+        if (result.changes > 0) {
+            const insert = db.prepare('INSERT INTO job_items (job_id, position, item) VALUES (?, ?, ?)');
+            items.forEach((item, index) => insert.run(job.id, index, item));
+            return;
+        }
+        
+        db.prepare('UPDATE jobs SET position = ?, status = ?, data = ? WHERE id = ?')
+            .run(position, job.status, JSON.stringify(data), job.id);
+    });
+}
+
+/**
+ * Save the whole queue and drop jobs that were removed from it
+ * @param {Array<Object>} jobs - Jobs in submission order
+ */
+function saveJobs(jobs) {
+    transaction(() => {
+        jobs.forEach((job, position) => saveJob(job, position));
+        
+        const ids = new Set(jobs.map(job => job.id));
+        db.prepare('SELECT id FROM jobs').all()
+            .filter(row => !ids.has(row.id))
+            .forEach(row => {
+                db.prepare('DELETE FROM job_items WHERE job_id = ?').run(row.id);
+                db.prepare('DELETE FROM job_results WHERE job_id = ?').run(row.id);
+                db.prepare('DELETE FROM jobs WHERE id = ?').run(row.id);
+            });
+    });
+}
+
+/**
+ * Load all jobs with their numbers (or group IDs) and per-number outcomes
+ * @returns {Array<Object>} Jobs in submission order
+ */
+function loadJobs() {
+    const selectItems = db.prepare('SELECT item FROM job_items WHERE job_id = ? ORDER BY position');
+    const selectResults = db.prepare('SELECT data FROM job_results WHERE job_id = ? ORDER BY position');
+    
+    return db.prepare('SELECT id, items_field, data FROM jobs ORDER BY position').all().map(row => {
+        const job = {
+            ...JSON.parse(row.data),
+            [row.items_field]: selectItems.all(row.id).map(item => item.item)
+        };
+        
+        // Jobs saved before job_results existed still carry their outcomes in the job data
+        const details = selectResults.all(row.id).map(result => JSON.parse(result.data));
+        if (job.results && (details.length > 0 || !job.results.details)) {
+            job.results.details = details;
+        }
+        
+        return job;
+    });
+}
+
+/**
+ * Append an entry to the audit log
+ * @param {Object} entry - Audit entry
+ */
+function appendAuditEntry(entry) {
+    db.prepare('INSERT INTO audit (timestamp, actor, action, data) VALUES (?, ?, ?, ?)')
+        .run(entry.timestamp, entry.actor, entry.action, JSON.stringify(entry));
+}
+
+/**
+ * Get audit entries, oldest first
+ * @param {Object} filters - Optional from/to dates, actor and action
+ * @returns {Array<Object>} Audit entries
+ */
+function getAuditEntries({ from, to, actor, action } = {}) {
+    const conditions = [];
+    const params = {};
+    
+    if (from) {
+        conditions.push('timestamp >= @from');
+        params.from = from.toISOString();
+    }
+    if (to) {
+        conditions.push('timestamp <= @to');
+        params.to = to.toISOString();
+    }
+    if (actor) {
+        conditions.push('actor = @actor');
+        params.actor = actor;
+    }
+    if (action) {
+        conditions.push('action = @action');
+        params.action = action;
+    }
+    
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    return db.prepare(`SELECT data FROM audit ${where} ORDER BY id`).all(params).map(row => JSON.parse(row.data));
+}
+
+/**
+ * Load everything the storage service keeps in memory
+ * @returns {Object} Stats, batch, settings, failed numbers, registers, jobs and created groups
+ */
+function loadState() {
+    const batch = getSetting('batch') || {};
+    const currentBatch = db.prepare('SELECT number FROM batch_items ORDER BY position').all().map(row => row.number);
+    savedBatch = currentBatch;
+    
+    const failedNumbers = db.prepare('SELECT * FROM failed_numbers').all().map(row => [row.number, {
+        count: row.count,
+        firstFailure: row.first_failure,
+        lastFailure: row.last_failure,
+        reason: row.reason,
+        errorType: row.error_type,
+        operation: row.operation
+    }]);
+    
+    return {
+        stats: getSetting('stats') || null,
+        batch: { ...batch, currentBatch },
+        settings: getSetting('config') || {},
+        failedNumbers,
+        consent: loadCollection('consent'),
+        suppression: loadCollection('suppression'),
+        users: loadCollection('users').map(([, user]) => user),
+        apiTokens: loadCollection('api_tokens').map(([, token]) => token),
+        jobs: loadJobs(),
+        createdGroups: db.prepare('SELECT data FROM created_groups ORDER BY id').all().map(row => JSON.parse(row.data))
+    };
+}
+
+module.exports = {
+    openDatabase,
+    isDatabaseOpen,
+    closeDatabase,
+    transaction,
+    getSetting,
+    setSetting,
+    isEmpty,
+    saveBatch,
+    saveFailedNumber,
+    clearFailedNumbers,
+    replaceCollection,
+    addCreatedGroup,
+    saveJob,
+    saveJobs,
+    appendAuditEntry,
+    getAuditEntries,
+    loadState
+};
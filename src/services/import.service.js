@@ -0,0 +1,195 @@
+/**
+ * Import Service
+ * Reads contact lists from CSV, TSV and Excel files and maps their columns
+ */
+
+const fs = require('fs');
+const path = require('path');
+const csvParser = require('csv-parser');
+const ExcelJS = require('exceljs');
+const { normalizePhoneNumber, resolveRegion } = require('../utils/phone');
+
+const IMPORT_EXTENSIONS = ['.csv', '.tsv', '.xlsx'];
+
+// Header names recognised when the caller doesn't choose a column (compared lowercase without spaces/underscores)
+const COLUMN_HINTS = {
+    phone: ['number', 'phone', 'phonenumber', 'contact', 'mobile', 'mobilenumber', 'whatsapp', 'msisdn', 'tel', 'telephone'],
+    name: ['name', 'fullname', 'contactname', 'firstname', 'displayname'],
+    country: ['country', 'countrycode', 'region', 'countryiso']
+};
+
+/**
+ * Check whether an uploaded file has a supported import extension
+ * @param {string} fileName - Uploaded file name
+ * @returns {boolean} Whether the file can be imported
+ */
+function isSupportedImportFile(fileName) {
+    return IMPORT_EXTENSIONS.includes(path.extname(fileName).toLowerCase());
+}
+
+/**
+ * Parse a CSV or TSV file into rows
+ * @param {string} filePath - File to parse
+ * @param {string} separator - Column separator
+ * @returns {Promise<Array<Object>>} Rows keyed by column header
+ */
+function readDelimitedFile(filePath, separator) {
+    const rows = [];
+    
+    return new Promise((resolve, reject) => {
+        fs.createReadStream(filePath)
+            .pipe(csvParser({
+                separator,
+                // Excel adds a byte order mark to CSV exports
+                mapHeaders: ({ header }) => header.replace(/^\uFEFF/, '').trim()
+            }))
+            .on('data', (row) => rows.push(row))
+            .on('end', () => resolve(rows))
+            .on('error', reject);
+    });
+}
+
+/**
+ * Parse the first worksheet of an Excel file into rows, using the first row as headers
+ * @param {string} filePath - File to parse
+ * @returns {Promise<Array<Object>>} Rows keyed by column header
+ */
+async function readExcelFile(filePath) {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.readFile(filePath);
+    
+    const worksheet = workbook.worksheets[0];
+    if (!worksheet) return [];
+    
+    const headers = [];
+    worksheet.getRow(1).eachCell((cell, col) => {
+        headers[col] = cell.text.trim();
+    });
+    
+    const rows = [];
+    worksheet.eachRow((row, rowNumber) => {
+        if (rowNumber === 1) return;
+        
+        const record = {};
+        headers.forEach((header, col) => {
+            if (header) record[header] = row.getCell(col).text.trim();
+        });
+        rows.push(record);
+    });
+    
+    return rows;
+}
+
+/**
+ * Temporarily store an uploaded file and parse it into rows
+ * @param {Object} uploadFile - Uploaded file from express-fileupload
+ * @returns {Promise<Array<Object>>} Parsed rows keyed by column header
+ */
+async function readImportFile(uploadFile) {
+    const uploadPath = path.join(process.cwd(), 'data', path.basename(uploadFile.name));
+    await uploadFile.mv(uploadPath);
+    
+    try {
+        switch (path.extname(uploadFile.name).toLowerCase()) {
+            case '.xlsx':
+                return await readExcelFile(uploadPath);
+            case '.tsv':
+                return await readDelimitedFile(uploadPath, '\t');
+            default:
+                return await readDelimitedFile(uploadPath, ',');
+        }
+    } finally {
+        // Clean up uploaded file
+        await fs.promises.unlink(uploadPath);
+    }
+}
+
+/**
+ * Get the column headers of parsed rows
+ * @param {Array<Object>} rows - Parsed rows
+ * @returns {Array<string>} Column headers
+ */
+function getColumns(rows) {
+    return rows.length > 0 ? Object.keys(rows[0]) : [];
+}
+
+/**
+ * Guess the phone, name and country columns from the headers
+ * @param {Array<string>} columns - Column headers
+ * @returns {Object} Detected column for phone (falls back to the first column), name and country
+ */
+function detectColumns(columns) {
+    const find = (hints) => columns.find(column => hints.includes(column.toLowerCase().replace(/[\s_-]/g, ''))) || null;
+    
+    return {
+        phone: find(COLUMN_HINTS.phone) || columns[0] || null,
+        name: find(COLUMN_HINTS.name),
+        country: find(COLUMN_HINTS.country)
+    };
+}
+
+/**
+ * Pick the phone number column from a parsed CSV row
+ * @param {Object} row - Parsed CSV row
+ * @returns {string|undefined} Raw phone number value
+ */
+function getRowPhoneNumber(row) {
+    const column = detectColumns(Object.keys(row)).phone;
+    return column ? row[column] : undefined;
+}
+
+/**
+ * Turn parsed rows into normalised contacts using a column mapping
+ * Columns other than phone, name and country are kept as extra fields.
+ * @param {Array<Object>} rows - Parsed rows
+ * @param {Object} mapping - Columns to use for phone, name and country
+ * @param {string} defaultRegion - Region for numbers without a country code or country column
+ * @returns {Object} Contacts, their E.164 numbers and invalid rows with reasons
+ */
+function buildContacts(rows, mapping, defaultRegion = '') {
+    const contacts = [];
+    const invalid = [];
+    
+    rows.forEach((row, index) => {
+        const rawNumber = (row[mapping.phone] || '').toString().trim();
+        if (!rawNumber) return;
+        
+        const country = mapping.country ? (row[mapping.country] || '').toString().trim() : '';
+        const normalized = normalizePhoneNumber(rawNumber, resolveRegion(country) || defaultRegion);
+        
+        if (!normalized.isValid) {
+            invalid.push({ row: index + 2, number: rawNumber, reason: normalized.reason });
+            return;
+        }
+        
+        const fields = {};
+        Object.entries(row).forEach(([column, value]) => {
+            if (![mapping.phone, mapping.name, mapping.country].includes(column)) {
+                fields[column] = value;
+            }
+        });
+        
+        contacts.push({
+            number: normalized.e164,
+            name: mapping.name ? (row[mapping.name] || '').toString().trim() || null : null,
+            country: normalized.country,
+            fields
+        });
+    });
+    
+    return {
+        numbers: contacts.map(contact => contact.number),
+        contacts,
+        invalid
+    };
+}
+
+module.exports = {
+    IMPORT_EXTENSIONS,
+    isSupportedImportFile,
+    readImportFile,
+    getColumns,
+    detectColumns,
+    getRowPhoneNumber,
+    buildContacts
+};
@@ -0,0 +1,593 @@
+/**
+ * Job Queue Service
+ * Runs group membership and management jobs one after another and keeps the queue persisted
+ */
+
+const logger = require('../utils/logger');
+const { toNumberKey } = require('../utils/phone');
+const { getJobs, saveJobs, getSessionStats, saveSessionStats } = require('./storage.service');
+
+// Possible job states
+const JOB_STATUS = {
+    QUEUED: 'queued',
+    RUNNING: 'running',
+    PAUSED: 'paused',
+    DONE: 'done',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled'
+};
+
+/**
+ * Index imported contact details by phone number so they can be found per number
+ * @param {Array<Object>} contacts - Contacts with number, name, country and extra fields
+ * @param {string} defaultRegion - Default region for numbers without a country code
+ * @returns {Object} Contact details keyed by number digits
+ */
+function indexContacts(contacts = [], defaultRegion = '') {
+    const index = {};
+    
+    contacts.forEach(({ number, name = null, country = null, fields = {} }) => {
+        if (!number) return;
+        index[toNumberKey(number, defaultRegion)] = { name, country, fields };
+    });
+    
+    return index;
+}
+
+/**
+ * Get the items a job works through: groups for manage-groups jobs, numbers otherwise
+ * @param {Object} job - Job record
+ * @returns {Array<string>} Numbers or group IDs
+ */
+function getJobItems(job) {
+    return job.type === 'manage-groups' ? job.groupIds : job.numbers;
+}
+
+/**
+ * Generate a short unique job ID
+ * @returns {string} Job ID
+ */
+function generateJobId() {
+    return `job_${Date.now().toString(36)}${Math.random().toString(36).substring(2, 8)}`;
+}
+
+/**
+ * Build a compact view of a job without the full number list
+ * @param {Object} job - Job record
+ * @returns {Object} Job summary
+ */
+function summarizeJob(job) {
+    const results = job.results || {};
+    
+    return {
+        id: job.id,
+        type: job.type,
+        groupId: job.groupId,
+        groupName: job.groupName || null,
+        sourceGroupId: job.sourceGroupId || null,
+        status: job.status,
+        statusMessage: job.statusMessage,
+        total: getJobItems(job).length,
+        processed: job.progress.index,
+        added: results.added || 0,
+        removed: results.removed || 0,
+        updated: results.updated || 0,
+        failed: results.failed || 0,
+        skipped: results.skipped || 0,
+        alreadyMember: results.alreadyMember || 0,
+        invited: results.invited || 0,
+        groupFull: results.groupFull || 0,
+        failuresByType: results.failuresByType || {},
+        startedBy: job.startedBy || null,
+        createdAt: job.createdAt,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt
+    };
+}
+
+/**
+ * Set up the job queue on top of the WhatsApp client
+ * @param {Object} whatsappClient - WhatsApp client with helper methods
+ * @param {Object} io - Socket.IO instance for real-time communication
+ * @returns {Object} Job queue API
+ */
+function setupJobQueue(whatsappClient, io) {
+    let isProcessing = false;
+    let currentJob = null;
+    let retryTimer = null;
+    // Set when a job stopped at a limit before starting; no job can run before then
+    let limitsResetAt = null;
+    
+    // Jobs that were running when the process stopped are paused so they can be resumed explicitly
+    getJobs().forEach(job => {
+        if (job.status === JOB_STATUS.RUNNING) {
+            job.status = JOB_STATUS.PAUSED;
+            job.statusMessage = 'Interrupted by a restart. Resume to continue from the last processed number.';
+            logger.warn(`Job ${job.id} was interrupted at ${job.progress.index}/${getJobItems(job).length} and has been paused`);
+        }
+    });
+    saveJobs();
+    
+    /**
+     * Notify connected clients about a job state change
+     * @param {Object} job - Job record
+     */
+    function broadcastJob(job) {
+        if (io && typeof io.broadcastJobUpdate === 'function') {
+            io.broadcastJobUpdate(summarizeJob(job));
+        }
+    }
+    
+    /**
+     * Notify connected clients that the batch was paused, resumed or cancelled
+     * @param {string} state - New batch state
+     * @param {Object|null} job - Job affected by the change
+     */
+    function broadcastBatchState(state, job) {
+        if (io && typeof io.broadcastBatchState === 'function') {
+            io.broadcastBatchState({
+                state,
+                jobId: job ? job.id : null,
+                timestamp: new Date().toISOString()
+            });
+        }
+    }
+    
+    /**
+     * Forget the interrupted batch of a job that will not be resumed
+     */
+    function clearCurrentBatch() {
+        const stats = getSessionStats();
+        stats.currentBatch = [];
+        stats.currentBatchIndex = 0;
+        stats.lastGroupId = null;
+        stats.batchPaused = false;
+        stats.batchCancelRequested = false;
+        stats.userStatus = 'ready';
+        saveSessionStats();
+    }
+    
+    /**
+     * Determine whether shared limits currently block a new job from starting
+     * @returns {Date|null} Time at which the queue should try again, or null if not blocked
+     */
+    function getBlockedUntil() {
+        const stats = getSessionStats();
+        const now = new Date();
+        
+        if (limitsResetAt && limitsResetAt > now) {
+            return limitsResetAt;
+        }
+        
+        if (stats.circuitBreakerTripped && stats.circuitBreakerResetTime) {
+            const resetTime = new Date(stats.circuitBreakerResetTime);
+            if (resetTime > now) return resetTime;
+        }
+        
+        if (stats.lastDateReset === now.toDateString() && stats.addedToday >= stats.dailyLimit) {
+            const tomorrow = new Date(now);
+            tomorrow.setDate(now.getDate() + 1);
+            tomorrow.setHours(0, 0, 5, 0);
+            return tomorrow;
+        }
+        
+        if (stats.hourlyAdditionCounts[now.getHours()] >= stats.hourlyLimit) {
+            const nextHour = new Date(now);
+            nextHour.setHours(now.getHours() + 1, 0, 5, 0);
+            return nextHour;
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Schedule another queue run at a later time
+     * @param {Date} when - Time to retry
+     */
+    function scheduleRetry(when) {
+        if (retryTimer) {
+            clearTimeout(retryTimer);
+        }
+        
+        const delay = Math.max(1000, when - new Date());
+        retryTimer = setTimeout(() => {
+            retryTimer = null;
+            runQueue();
+        }, delay);
+    }
+    
+    /**
+     * Start processing the queue without waiting for it
+     * Errors (e.g. from saving or broadcasting) are logged rather than left as unhandled rejections.
+     */
+    function runQueue() {
+        processQueue().catch(err => {
+            logger.error(`Job queue error: ${err.message}`);
+        });
+    }
+    
+    /**
+     * Run the next queued job, if any, and keep going until the queue is empty
+     */
+    async function processQueue() {
+        if (isProcessing) return;
+        
+        if (getSessionStats().batchPaused) {
+            logger.info('Job queue is paused');
+            return;
+        }
+        
+        const job = getJobs().find(j => j.status === JOB_STATUS.QUEUED);
+        if (!job) return;
+        
+        if (!whatsappClient.isReady()) {
+            logger.info('Job queue waiting for WhatsApp connection');
+            return;
+        }
+        
+        const blockedUntil = getBlockedUntil();
+        if (blockedUntil) {
+            logger.info(`Job queue waiting for limits to reset at ${blockedUntil.toTimeString()}`);
+            scheduleRetry(blockedUntil);
+            return;
+        }
+        
+        isProcessing = true;
+        currentJob = job;
+        job.status = JOB_STATUS.RUNNING;
+        job.statusMessage = null;
+        job.startedAt = job.startedAt || new Date().toISOString();
+        
+        try {
+            saveJobs(job);
+            broadcastJob(job);
+            
+            logger.info(`Starting ${job.type} job ${job.id} (${getJobItems(job).length - job.progress.index} remaining)`);
+            
+            let result;
+            if (job.type === 'manage-groups') {
+                result = await whatsappClient.manageGroups(job.groupIds, job);
+            } else if (job.type === 'remove-members') {
+                result = await whatsappClient.removeMembersFromGroup(job.groupId, job.numbers, job);
+            } else {
+                result = await whatsappClient.processGroupAddition(job.groupId, job.numbers, job.message, job);
+            }
+            // A job refused before its first number keeps the results it already had, and a job
+            // put back in the queue must not continue from the refusal as if it were its results
+            if (result.details || (!result.resumable && !job.results)) {
+                job.results = result;
+            }
+            
+            if (result.success) {
+                job.status = JOB_STATUS.DONE;
+            } else if (result.cancelled) {
+                job.status = JOB_STATUS.CANCELLED;
+                clearCurrentBatch();
+            } else if (result.paused) {
+                job.status = JOB_STATUS.PAUSED;
+            } else if (result.resumable) {
+                // Protection mode or a rate limit stopped the job; put it back so it continues once limits reset
+                job.status = JOB_STATUS.QUEUED;
+                if (result.retryAt) {
+                    limitsResetAt = new Date(result.retryAt);
+                }
+            } else {
+                job.status = JOB_STATUS.FAILED;
+            }
+            job.statusMessage = result.message || null;
+        } catch (err) {
+            logger.error(`Job ${job.id} failed: ${err.message}`);
+            job.status = JOB_STATUS.FAILED;
+            job.statusMessage = err.message;
+        } finally {
+            if ([JOB_STATUS.DONE, JOB_STATUS.FAILED, JOB_STATUS.CANCELLED].includes(job.status)) {
+                job.finishedAt = new Date().toISOString();
+            }
+            // A cancel request only ever applies to the job that was running
+            getSessionStats().batchCancelRequested = false;
+            isProcessing = false;
+            currentJob = null;
+            saveJobs(job);
+            broadcastJob(job);
+        }
+        
+        logger.info(`Job ${job.id} is now ${job.status}`);
+        
+        // Continue with the next job
+        runQueue();
+    }
+    
+    /**
+     * Add a job to the end of the queue and start processing if idle
+     * @param {Object} fields - Job type, group, numbers (or group IDs), who submitted it and type-specific options
+     * @returns {Object} Created job
+     */
+    function queueJob(fields) {
+        const job = {
+            id: generateJobId(),
+            groupName: null,
+            startedBy: null,
+            ...fields,
+            status: JOB_STATUS.QUEUED,
+            statusMessage: null,
+            progress: { index: 0 },
+            results: null,
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null
+        };
+        
+        getJobs().push(job);
+        saveJobs();
+        broadcastJob(job);
+        
+        logger.info(`Queued ${job.type} job ${job.id} with ${getJobItems(job).length} items`);
+        
+        runQueue();
+        
+        return job;
+    }
+    
+    /**
+     * Add a new group addition job to the end of the queue
+     * @param {Object} params - Job parameters
+     * @param {string} params.type - 'add-members', or 'copy-members' when the numbers come from another group
+     * @param {string} params.sourceGroupId - Group the numbers were copied from (copy-members jobs)
+     * @param {string} params.groupId - Group ID or invitation link
+     * @param {string} params.groupName - Group name when already known (created groups); otherwise filled in when the job runs
+     * @param {Array<string>} params.numbers - Phone numbers to add
+     * @param {string} params.message - Optional welcome message
+     * @param {Array<Object>} params.contacts - Optional imported details (name, country, extra fields) per number
+     * @param {number} params.welcomeBatchSize - Send a welcome every N additions (0 for one at the end)
+     * @param {boolean} params.mentionNewMembers - Whether welcomes mention the new members
+     * @param {boolean} params.inviteFallback - Send the invite link privately when privacy settings block adding (defaults to the configured setting)
+     * @param {string} params.inviteMessage - Invite template overriding the configured one
+     * @param {string} params.onGroupFull - 'truncate' to skip numbers that don't fit, 'fail' to refuse the job
+     * @param {string} params.startedBy - User or API token that submitted the job
+     * @returns {Object} Created job
+     */
+    function enqueueJob({
+        type = 'add-members',
+        sourceGroupId = null,
+        groupId,
+        groupName = null,
+        numbers,
+        message = '',
+        contacts = [],
+        welcomeBatchSize = 0,
+        mentionNewMembers = false,
+        inviteFallback = getSessionStats().inviteFallback,
+        inviteMessage = null,
+        onGroupFull = 'truncate',
+        startedBy = null
+    }) {
+        return queueJob({
+            type,
+            sourceGroupId,
+            groupId,
+            groupName,
+            numbers,
+            message,
+            contacts: indexContacts(contacts, getSessionStats().defaultRegion),
+            welcome: {
+                batchSize: welcomeBatchSize,
+                mention: mentionNewMembers
+            },
+            invite: {
+                enabled: inviteFallback,
+                template: inviteMessage
+            },
+            onGroupFull,
+            startedBy
+        });
+    }
+    
+    /**
+     * Add a new member removal job to the end of the queue
+     * @param {Object} params - Job parameters
+     * @param {string} params.groupId - Group ID
+     * @param {Array<string>} params.numbers - Phone numbers to remove
+     * @param {boolean} params.removeAdmins - Whether admins in the list may be removed too
+     * @param {string} params.startedBy - User or API token that submitted the job
+     * @returns {Object} Created job
+     */
+    function enqueueRemovalJob({ groupId, numbers, removeAdmins = false, startedBy = null }) {
+        return queueJob({
+            type: 'remove-members',
+            groupId,
+            numbers,
+            removeAdmins,
+            startedBy
+        });
+    }
+    
+    /**
+     * Add a job applying admin and settings changes to several groups
+     * @param {Object} params - Job parameters
+     * @param {Array<string>} params.groupIds - Groups to change
+     * @param {Array<string>} params.promote - Numbers to make admin in every group
+     * @param {Array<string>} params.demote - Numbers to make regular members in every group
+     * @param {Object} params.settings - Group settings to apply (subject, description, messagesAdminsOnly, infoAdminsOnly)
+     * @param {string} params.startedBy - User or API token that submitted the job
+     * @returns {Object} Created job
+     */
+    function enqueueManageGroupsJob({ groupIds, promote = [], demote = [], settings = {}, startedBy = null }) {
+        return queueJob({
+            type: 'manage-groups',
+            groupId: null,
+            groupIds,
+            changes: { promote, demote, settings },
+            startedBy
+        });
+    }
+    
+    /**
+     * Get a job by ID
+     * @param {string} id - Job ID
+     * @returns {Object|undefined} Job record
+     */
+    function getJob(id) {
+        return getJobs().find(job => job.id === id);
+    }
+    
+    /**
+     * Remove a queued or paused job
+     * @param {string} id - Job ID
+     * @returns {Object} Result with success flag and message
+     */
+    function removeJob(id) {
+        const jobs = getJobs();
+        const index = jobs.findIndex(job => job.id === id);
+        
+        if (index === -1) {
+            return { success: false, status: 404, message: 'Job not found' };
+        }
+        
+        const job = jobs[index];
+        if (job.status === JOB_STATUS.RUNNING) {
+            return { success: false, status: 409, message: 'Job is currently running and cannot be removed' };
+        }
+        
+        // Finished jobs stay in the history with their per-number results
+        if ([JOB_STATUS.DONE, JOB_STATUS.FAILED, JOB_STATUS.CANCELLED].includes(job.status)) {
+            return { success: false, status: 409, message: 'Finished jobs are kept in the job history and cannot be removed' };
+        }
+        
+        jobs.splice(index, 1);
+        saveJobs();
+        
+        logger.info(`Removed job ${id} from queue`);
+        
+        return { success: true, message: 'Job removed' };
+    }
+    
+    /**
+     * Put a paused job back in the queue
+     * @param {string} [id] - Job ID; defaults to the first paused job
+     * @returns {Object|null} Resumed job or null if none was paused
+     */
+    function resumeJob(id) {
+        const job = getJobs().find(j => j.status === JOB_STATUS.PAUSED && (!id || j.id === id));
+        if (!job) return null;
+        
+        job.status = JOB_STATUS.QUEUED;
+        job.statusMessage = null;
+        saveJobs(job);
+        broadcastJob(job);
+        
+        logger.info(`Resuming job ${job.id} from item ${job.progress.index + 1}/${getJobItems(job).length}`);
+        
+        runQueue();
+        
+        return job;
+    }
+    
+    /**
+     * Pause the running batch and hold the queue until it is resumed
+     * @returns {Object} Result with success flag, message and affected job
+     */
+    function pauseBatch() {
+        const stats = getSessionStats();
+        
+        if (stats.batchPaused) {
+            return { success: false, status: 409, message: 'Batch is already paused' };
+        }
+        
+        stats.batchPaused = true;
+        stats.userStatus = 'paused';
+        saveSessionStats();
+        broadcastBatchState('paused', currentJob);
+        
+        logger.warn(currentJob
+            ? `Pause requested for job ${currentJob.id}; it will stop before the next number`
+            : 'Job queue paused');
+        
+        return { success: true, message: 'Batch paused', job: currentJob };
+    }
+    
+    /**
+     * Resume a paused batch and let the queue continue
+     * @returns {Object} Result with success flag, message and affected job
+     */
+    function resumeBatch() {
+        const stats = getSessionStats();
+        const hasPausedJob = getJobs().some(job => job.status === JOB_STATUS.PAUSED);
+        
+        if (!stats.batchPaused && !hasPausedJob) {
+            return { success: false, status: 404, message: 'No paused batch found to resume' };
+        }
+        
+        stats.batchPaused = false;
+        if (!stats.isAddingMembers) {
+            stats.userStatus = 'ready';
+        }
+        saveSessionStats();
+        
+        // The running job may not have reached its pause point yet, in which case it just carries on
+        const job = currentJob || resumeJob();
+        broadcastBatchState('running', job);
+        runQueue();
+        
+        return { success: true, message: 'Batch resumed', job };
+    }
+    
+    /**
+     * Cancel the running batch, or the first paused one if nothing is running
+     * @returns {Object} Result with success flag, message and affected job
+     */
+    function cancelBatch() {
+        const stats = getSessionStats();
+        
+        if (currentJob) {
+            // The processing loop picks this up between numbers and during waits
+            stats.batchCancelRequested = true;
+            broadcastBatchState('cancelled', currentJob);
+            
+            logger.warn(`Cancel requested for job ${currentJob.id}`);
+            
+            return { success: true, message: 'Batch cancellation requested', job: currentJob };
+        }
+        
+        const job = getJobs().find(j => j.status === JOB_STATUS.PAUSED);
+        if (!job && !stats.batchPaused) {
+            return { success: false, status: 404, message: 'No running or paused batch to cancel' };
+        }
+        
+        if (job) {
+            job.status = JOB_STATUS.CANCELLED;
+            job.statusMessage = 'Batch cancelled by user.';
+            job.finishedAt = new Date().toISOString();
+            saveJobs(job);
+            broadcastJob(job);
+        }
+        
+        clearCurrentBatch();
+        broadcastBatchState('cancelled', job);
+        runQueue();
+        
+        logger.warn(job ? `Cancelled paused job ${job.id}` : 'Cancelled paused batch');
+        
+        return { success: true, message: 'Batch cancelled', job };
+    }
+    
+    // Start working as soon as WhatsApp is connected
+    whatsappClient.onReady(runQueue);
+    runQueue();
+    
+    return {
+        enqueueJob,
+        enqueueRemovalJob,
+        enqueueManageGroupsJob,
+        getJob,
+        getJobs,
+        removeJob,
+        resumeJob,
+        pauseBatch,
+        resumeBatch,
+        cancelBatch,
+        processQueue: runQueue,
+        summarizeJob
+    };
+}
+
+module.exports = { setupJobQueue, JOB_STATUS };
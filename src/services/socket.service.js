@@ -5,6 +5,27 @@
 
 const socketIo = require('socket.io');
 const logger = require('../utils/logger');
+const { resolveUser, hasRole, onAccessChange } = require('./auth.service');
+
+// Only admins may see the QR code, since scanning it takes over the WhatsApp session
+const ADMIN_ROOM = 'admins';
+
+// Origins allowed to use the API and sockets from the browser; same origin only unless others are
+// listed, since the session cookie is same-site anyway
+const CORS_ORIGINS = process.env.CORS_ORIGINS ? process.env.CORS_ORIGINS.split(',').map(origin => origin.trim()) : false;
+
+/**
+ * Find the user behind a socket from its handshake credentials
+ * @param {Object} socket - Socket.IO socket
+ * @returns {Object|null} User, or null if the session or token is no longer valid
+ */
+function resolveSocketUser(socket) {
+    return resolveUser({
+        cookie: socket.handshake.headers.cookie,
+        authorization: socket.handshake.headers.authorization,
+        token: socket.handshake.auth && socket.handshake.auth.token
+    });
+}
 
 /**
  * Set up Socket.IO with comprehensive configuration for reliable connections
@@ -17,7 +38,7 @@ function setupSocketIO(server) {
     // Initialize Socket.IO with comprehensive configuration for reliable connections
     const io = socketIo(server, {
         cors: {
-            origin: "*", // Allow all origins
+            origin: CORS_ORIGINS,
             methods: ["GET", "POST", "OPTIONS"],
             credentials: true,
             allowedHeaders: ["Content-Type", "Authorization"]
@@ -41,6 +62,39 @@ function setupSocketIO(server) {
         logger.info(`Socket.IO engine new connection established: ${socket.id}`);
     });
     
+    // Only logged in users and valid API tokens may connect; the QR code only goes to admins
+    io.use((socket, next) => {
+        const user = resolveSocketUser(socket);
+        
+        if (!user) {
+            logger.warn(`Rejected unauthenticated socket connection from ${socket.handshake.address}`);
+            return next(new Error('Authentication required'));
+        }
+        
+        socket.data.user = user;
+        next();
+    });
+    
+    // Sockets are only authenticated at the handshake, so check them again when access changes
+    onAccessChange(() => {
+        io.sockets.sockets.forEach(socket => {
+            const user = resolveSocketUser(socket);
+            
+            if (!user) {
+                logger.info(`Disconnecting socket ${socket.id} of ${socket.data.user.name}: access ended`);
+                socket.disconnect(true);
+                return;
+            }
+            
+            socket.data.user = user;
+            if (hasRole(user.role, 'admin')) {
+                socket.join(ADMIN_ROOM);
+            } else {
+                socket.leave(ADMIN_ROOM);
+            }
+        });
+    });
+    
     // Track server-level events
     io.on("connect_error", (err) => {
         logger.error(`Socket.IO server connection error: ${err.message}`);
@@ -55,7 +109,7 @@ function setupSocketIO(server) {
         const clientIP = socket.handshake.headers['x-forwarded-for'] || 
                         socket.handshake.address;
         
-        logger.info(`New client connected to web interface - ID: ${socket.id}, IP: ${clientIP}`);
+        logger.info(`New client connected to web interface - ID: ${socket.id}, IP: ${clientIP}, user: ${socket.data.user.name}`);
         
         // Immediately confirm connection to the client
         socket.emit('socket-connected', { 
@@ -64,8 +118,12 @@ function setupSocketIO(server) {
             serverTime: new Date().toString()
         });
 
-        // If QR code was previously generated, send it to this new client
-        if (global.lastQrCode) {
+        if (hasRole(socket.data.user.role, 'admin')) {
+            socket.join(ADMIN_ROOM);
+        }
+        
+        // If QR code was previously generated, send it to this new admin client
+        if (socket.rooms.has(ADMIN_ROOM) && global.lastQrCode) {
             logger.info(`Sending cached QR code to new client ${socket.id}`);
             socket.emit('qr-code', { qr: global.lastQrCode });
             socket.emit('show-qr');
@@ -86,10 +144,11 @@ function setupSocketIO(server) {
         
         // Handle QR code refresh request from the frontend
         socket.on('request-qr-refresh', () => {
+            if (!socket.rooms.has(ADMIN_ROOM)) return;
             logger.info(`Client ${socket.id} requested QR code refresh`);
             
-            // Broadcast to all clients that we're getting a new QR code
-            io.emit('awaiting-qr');
+            // Let the admin clients know we're getting a new QR code
+            io.to(ADMIN_ROOM).emit('awaiting-qr');
             
             // This event will be handled by whatsapp.service.js to generate a new QR code
         });
@@ -99,6 +158,15 @@ function setupSocketIO(server) {
         });
     });
     
+    /**
+     * Send an event to admin clients only
+     * @param {string} event - Event name
+     * @param {Object} data - Event data
+     */
+    io.emitToAdmins = function(event, data) {
+        io.to(ADMIN_ROOM).emit(event, data);
+    };
+    
     /**
      * Broadcast WhatsApp connection status to all clients
      * @param {boolean} connected - Connection status
@@ -135,6 +203,23 @@ function setupSocketIO(server) {
         io.emit('batch-progress', batchData);
     };
     
+    /**
+     * Broadcast a job status change to all clients
+     * @param {Object} jobSummary - Summary of the job that changed
+     */
+    io.broadcastJobUpdate = function(jobSummary) {
+        io.emit('job-update', jobSummary);
+    };
+    
+    /**
+     * Broadcast a batch pause, resume or cancel to all clients
+     * @param {Object} stateData - New batch state and affected job
+     */
+    io.broadcastBatchState = function(stateData) {
+        io.emit('batch-state', stateData);
+        logger.info(`Broadcasting batch state: ${stateData.state}`);
+    };
+    
     /**
      * Send direct message to a specific client
      * @param {string} socketId - Target socket ID
@@ -160,4 +245,4 @@ function setupSocketIO(server) {
     return io;
 }
 
-module.exports = { setupSocketIO };
\ No newline at end of file
+module.exports = { setupSocketIO, ADMIN_ROOM, CORS_ORIGINS };
\ No newline at end of file
@@ -6,13 +6,114 @@
 const fs = require('fs');
 const path = require('path');
 const logger = require('../utils/logger');
+const { normalizePhoneNumber, toNumberKey } = require('../utils/phone');
+const { validateSchema } = require('../utils/schema');
+const database = require('./database.service');
 
 // Define file paths
 const DATA_DIR = path.join(process.cwd(), 'data');
 const STATS_FILE = path.join(DATA_DIR, 'session-stats.json');
 const FAILED_NUMBERS_FILE = path.join(DATA_DIR, 'failed-numbers.json');
+const CONSENT_FILE = path.join(DATA_DIR, 'consent.json');
+const SUPPRESSION_FILE = path.join(DATA_DIR, 'suppression.json');
 const BATCHES_FILE = path.join(DATA_DIR, 'batches.json');
+const JOBS_FILE = path.join(DATA_DIR, 'jobs.json');
+const CREATED_GROUPS_FILE = path.join(DATA_DIR, 'created-groups.json');
+const USERS_FILE = path.join(DATA_DIR, 'users.json');
+const API_TOKENS_FILE = path.join(DATA_DIR, 'api-tokens.json');
+const AUDIT_FILE = path.join(DATA_DIR, 'audit.log');
+const SETTINGS_FILE = path.join(DATA_DIR, 'settings.json');
+const DATABASE_FILE = path.join(DATA_DIR, 'storage.db');
 const LOGS_DIR = path.join(DATA_DIR, 'logs');
+const SNAPSHOTS_DIR = path.join(DATA_DIR, 'snapshots');
+
+// Known-good copies of each JSON file kept for recovery, and how often one is taken
+const SNAPSHOT_COUNT = parseInt(process.env.SNAPSHOT_COUNT) || 5;
+const SNAPSHOT_INTERVAL_MS = (parseInt(process.env.SNAPSHOT_INTERVAL_MINUTES) || 10) * 60 * 1000;
+
+// jobs.json holds every job with its results, so per-number progress is written at most this often
+const JOB_PROGRESS_SAVE_INTERVAL_MS = 5000;
+
+// Data files imported into SQLite on the first start with the database
+const JSON_FILES = [
+    STATS_FILE, FAILED_NUMBERS_FILE, CONSENT_FILE, SUPPRESSION_FILE, BATCHES_FILE, JOBS_FILE,
+    CREATED_GROUPS_FILE, USERS_FILE, API_TOKENS_FILE, SETTINGS_FILE, AUDIT_FILE
+];
+
+// 'sqlite' (default) or 'json' to keep using one JSON file per kind of data
+const STORAGE_DRIVER = (process.env.STORAGE_DRIVER || 'sqlite').toLowerCase();
+
+// Settings changed through POST /api/config that are kept across restarts
+const CONFIG_KEYS = [
+    'dailyLimit', 'hourlyLimit', 'maxBatchSize', 'minDelay', 'maxDelay', 'patternVariation', 'requireConsent',
+    'suppressionKeywords', 'defaultRegion', 'inviteFallback', 'inviteTemplate', 'groupSizeLimit'
+];
+
+// Shapes the JSON files must have; a file that doesn't match is treated as corrupt
+const stringArray = { type: 'array', items: { type: 'string' } };
+const DATA_SCHEMAS = {
+    [STATS_FILE]: {
+        type: 'object',
+        required: ['addedToday', 'lastDateReset'],
+        properties: {
+            addedToday: { type: 'integer', minimum: 0 },
+            lastDateReset: { type: 'string' },
+            hourlyAdditionCounts: { type: 'array', items: { type: 'integer', minimum: 0 } },
+            circuitBreakerTripped: { type: 'boolean' },
+            circuitBreakerResetTime: { type: 'string', nullable: true }
+        }
+    },
+    [FAILED_NUMBERS_FILE]: {
+        type: 'array',
+        items: { type: 'array', tuple: [{ type: 'string' }, { type: 'object', required: ['count'] }] }
+    },
+    [CONSENT_FILE]: {
+        type: 'array',
+        items: { type: 'array', tuple: [{ type: 'string' }, { type: 'object', required: ['number', 'groups'] }] }
+    },
+    [SUPPRESSION_FILE]: {
+        type: 'array',
+        items: { type: 'array', tuple: [{ type: 'string' }, { type: 'object', required: ['number'] }] }
+    },
+    [BATCHES_FILE]: {
+        type: 'object',
+        required: ['currentBatch', 'currentBatchIndex'],
+        properties: {
+            currentBatch: stringArray,
+            currentBatchIndex: { type: 'integer', minimum: 0 },
+            lastGroupId: { type: 'string', nullable: true },
+            paused: { type: 'boolean' }
+        }
+    },
+    [JOBS_FILE]: {
+        type: 'array',
+        items: {
+            type: 'object',
+            required: ['id', 'type', 'status', 'progress'],
+            properties: {
+                id: { type: 'string' },
+                status: { type: 'string' },
+                progress: { type: 'object', required: ['index'], properties: { index: { type: 'integer', minimum: 0 } } },
+                numbers: stringArray,
+                groupIds: stringArray
+            }
+        }
+    },
+    [CREATED_GROUPS_FILE]: { type: 'array', items: { type: 'object', required: ['id'] } },
+    [USERS_FILE]: { type: 'array', items: { type: 'object', required: ['username', 'passwordHash', 'role'] } },
+    [API_TOKENS_FILE]: { type: 'array', items: { type: 'object', required: ['id', 'role', 'tokenHash'] } },
+    [SETTINGS_FILE]: { type: 'object' }
+};
+
+// Problems found while loading the data, reported through /api/status
+const storageWarnings = [];
+
+// When each JSON file was last copied to the snapshots directory
+const lastSnapshotTimes = new Map();
+
+// Last jobs.json write and the timer for a delayed progress write
+let lastJobsWriteTime = 0;
+let jobProgressTimer = null;
 
 // Global state object for in-memory storage
 let sessionStats = {
@@ -28,6 +129,8 @@ let sessionStats = {
     currentBatch: [],
     currentBatchIndex: 0,
     lastGroupId: null,
+    batchPaused: false, // Paused by the user, persisted in batches.json
+    batchCancelRequested: false, // Cancel requested for the running batch (in-memory only)
     
     // Configuration settings - could be moved to .env in the future
     minDelay: process.env.MIN_DELAY || 30, // seconds
@@ -39,9 +142,35 @@ let sessionStats = {
     failureThreshold: process.env.FAILURE_THRESHOLD || 10, // max consecutive failures before pausing
     circuitBreakerTimeout: process.env.CIRCUIT_BREAKER_TIMEOUT || 1800, // 30 minutes pause after hitting failure threshold
     hourlyLimit: process.env.HOURLY_LIMIT || 1000, // Maximum additions per hour
-    patternVariation: true // Enable pattern variation to avoid detection
+    patternVariation: true, // Enable pattern variation to avoid detection
+    requireConsent: process.env.REQUIRE_CONSENT === 'true', // Only add numbers with a matching consent record
+    suppressionKeywords: (process.env.SUPPRESSION_KEYWORDS || 'STOP,UNSUBSCRIBE') // Replies that opt a sender out
+        .split(',').map(keyword => keyword.trim().toUpperCase()).filter(Boolean),
+    defaultRegion: (process.env.DEFAULT_REGION || '').toUpperCase(), // ISO country for numbers without a country code
+    inviteFallback: process.env.INVITE_FALLBACK === 'true', // Send the invite link privately when privacy settings block adding
+    inviteTemplate: process.env.INVITE_TEMPLATE || 'Hi {{name}}, you are invited to join {{groupName}}: {{inviteLink}}',
+    groupSizeLimit: process.env.GROUP_SIZE_LIMIT || 1024 // WhatsApp's maximum members per group
 };
 
+// Consent (opt-in) register keyed by E.164 digits
+let consentRecords = new Map();
+
+// Do-not-add (suppression) list keyed by E.164 digits
+let suppressionList = new Map();
+
+// Persistent job queue, kept in submission order
+let jobs = [];
+
+// Groups created through the API, kept in creation order
+let createdGroups = [];
+
+// User accounts (with password hashes) and API tokens (with token hashes)
+let users = [];
+let apiTokens = [];
+
+// Settings changed through the API; they override the defaults and environment variables
+let savedSettings = {};
+
 /**
  * Initialize data storage by creating necessary directories and loading existing data
  */
@@ -52,9 +181,21 @@ function initializeDataStorage() {
     createDirectoryStructure();
     
     // Load existing data if available
-    loadSessionStats();
-    loadFailedNumbers();
-    loadBatchData();
+    if (STORAGE_DRIVER === 'sqlite' && database.openDatabase(DATABASE_FILE)) {
+        migrateJsonFiles();
+        loadFromDatabase();
+    } else {
+        checkJsonFilesCurrent();
+        
+        if (STORAGE_DRIVER === 'sqlite') {
+            logger.warn('Falling back to the JSON data files');
+            addStorageWarning({ message: 'SQLite is not available; data is stored in JSON files' });
+        }
+        loadJsonFiles();
+    }
+    
+    // Needs the saved default region, which is loaded last
+    normalizeRegisterKeys();
     
     logger.success('Data storage initialized successfully');
     
@@ -63,6 +204,107 @@ function initializeDataStorage() {
     };
 }
 
+/**
+ * Close the database so its write-ahead log is folded back into the file
+ */
+function closeDataStorage() {
+    // Write job progress that is still waiting for its turn
+    if (jobProgressTimer) {
+        saveJobs();
+    }
+    database.closeDatabase();
+}
+
+/**
+ * Make sure the JSON files still hold the data before running on them
+ * Once the database is in use the JSON files are renamed to *.migrated or were never written,
+ * so starting from them would begin without jobs, registers or users, and nothing written
+ * in the meantime would be imported back.
+ * @throws {Error} If the data is kept in the SQLite database
+ */
+function checkJsonFilesCurrent() {
+    const migrated = JSON_FILES.some(file => !fs.existsSync(file) && fs.existsSync(`${file}.migrated`));
+    if (!migrated && !fs.existsSync(DATABASE_FILE)) return;
+    
+    throw new Error(`The data in ${DATA_DIR} is kept in ${path.basename(DATABASE_FILE)}, so the JSON data files can't be used. ` +
+        'Make SQLite available again (npm rebuild better-sqlite3) and unset STORAGE_DRIVER=json.');
+}
+
+/**
+ * Load all data from the JSON files
+ */
+function loadJsonFiles() {
+    loadSessionStats();
+    loadFailedNumbers();
+    loadConsentRecords();
+    loadSuppressionList();
+    loadBatchData();
+    loadJobs();
+    loadCreatedGroups();
+    loadAccounts();
+    loadSettings();
+}
+
+/**
+ * Import the JSON data files into an empty database, then rename them to *.migrated
+ * Runs once: afterwards the database is no longer empty.
+ */
+function migrateJsonFiles() {
+    const files = JSON_FILES.filter(file => fs.existsSync(file));
+    if (files.length === 0 || !database.isEmpty()) return;
+    
+    logger.info(`Migrating ${files.length} JSON data files to SQLite...`);
+    
+    try {
+        loadJsonFiles();
+        const auditEntries = readAuditLog();
+        
+        database.transaction(() => {
+            saveStatsToDatabase();
+            sessionStats.failedNumbers.forEach((record, number) => database.saveFailedNumber(number, record));
+            database.replaceCollection('consent', Array.from(consentRecords.entries()));
+            database.replaceCollection('suppression', Array.from(suppressionList.entries()));
+            database.replaceCollection('users', users.map(user => [user.username, user]));
+            database.replaceCollection('api_tokens', apiTokens.map(token => [token.id, token]));
+            database.saveJobs(jobs);
+            createdGroups.forEach(group => database.addCreatedGroup(group));
+            auditEntries.forEach(entry => database.appendAuditEntry(entry));
+            database.setSetting('config', savedSettings);
+        });
+        
+        files.forEach(file => fs.renameSync(file, `${file}.migrated`));
+        
+        logger.success(`Migrated ${jobs.length} jobs, ${sessionStats.failedNumbers.size} failed numbers, ${consentRecords.size} consent records and ${auditEntries.length} audit entries to SQLite`);
+    } catch (err) {
+        // Nothing is renamed, so the migration is tried again on the next start
+        logger.error(`Error migrating JSON data files: ${err.message}`);
+    }
+}
+
+/**
+ * Load all data from the database
+ */
+function loadFromDatabase() {
+    const state = database.loadState();
+    
+    if (state.stats) {
+        applyStats(state.stats);
+    }
+    applyBatchData(state.batch);
+    savedSettings = state.settings;
+    Object.assign(sessionStats, savedSettings);
+    
+    sessionStats.failedNumbers = new Map(state.failedNumbers);
+    consentRecords = new Map(state.consent);
+    suppressionList = new Map(state.suppression);
+    jobs = state.jobs;
+    createdGroups = state.createdGroups;
+    users = state.users;
+    apiTokens = state.apiTokens;
+    
+    logger.info(`Loaded ${jobs.length} jobs, ${sessionStats.failedNumbers.size} failed numbers, ${consentRecords.size} consent records, ${suppressionList.size} suppressed numbers and ${users.length} users from SQLite`);
+}
+
 /**
  * Create all required directories for data storage
  */
@@ -79,46 +321,209 @@ function createDirectoryStructure() {
             fs.mkdirSync(LOGS_DIR, { recursive: true });
             logger.info(`Created logs directory: ${LOGS_DIR}`);
         }
+        
+        // Create snapshots directory if it doesn't exist
+        if (!fs.existsSync(SNAPSHOTS_DIR)) {
+            fs.mkdirSync(SNAPSHOTS_DIR, { recursive: true });
+        }
     } catch (err) {
         logger.error(`Error creating directory structure: ${err.message}`);
     }
 }
 
+/**
+ * Record a storage problem so it is reported through /api/status
+ * @param {Object} warning - File, message and snapshot used for recovery
+ */
+function addStorageWarning(warning) {
+    storageWarnings.push({ ...warning, detectedAt: new Date().toISOString() });
+}
+
+/**
+ * Get the snapshots of a JSON file, newest first
+ * @param {string} file - Data file path
+ * @returns {Array<string>} Snapshot file paths
+ */
+function getSnapshots(file) {
+    const prefix = `${path.basename(file, '.json')}.`;
+    
+    try {
+        return fs.readdirSync(SNAPSHOTS_DIR)
+            .filter(name => name.startsWith(prefix) && name.endsWith('.json'))
+            .sort()
+            .reverse()
+            .map(name => path.join(SNAPSHOTS_DIR, name));
+    } catch (err) {
+        return [];
+    }
+}
+
+/**
+ * Copy a freshly written JSON file to the snapshots directory and drop the oldest snapshots
+ * At most one snapshot per file is taken every SNAPSHOT_INTERVAL_MINUTES.
+ * @param {string} file - Data file path
+ * @param {string} json - Contents that were written
+ */
+function takeSnapshot(file, json) {
+    const now = Date.now();
+    if (now - (lastSnapshotTimes.get(file) || 0) < SNAPSHOT_INTERVAL_MS) return;
+    lastSnapshotTimes.set(file, now);
+    
+    const stamp = new Date(now).toISOString().replace(/[:.]/g, '-');
+    fs.writeFileSync(path.join(SNAPSHOTS_DIR, `${path.basename(file, '.json')}.${stamp}.json`), json);
+    
+    getSnapshots(file).slice(SNAPSHOT_COUNT).forEach(snapshot => fs.unlinkSync(snapshot));
+}
+
+/**
+ * Write a JSON file atomically: write a temporary file, flush it to disk, then rename it over the old one
+ * A crash leaves either the old or the new file, never a truncated one.
+ * @param {string} file - Data file path
+ * @param {*} data - Data to write
+ */
+function writeJsonFile(file, data) {
+    const json = JSON.stringify(data, null, 2);
+    const tempFile = `${file}.tmp`;
+    
+    const fd = fs.openSync(tempFile, 'w');
+    try {
+        fs.writeSync(fd, json);
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+    fs.renameSync(tempFile, file);
+    
+    takeSnapshot(file, json);
+}
+
+/**
+ * Delete a JSON file and its snapshots, so an older version can't be recovered later
+ * @param {string} file - Data file path
+ * @returns {boolean} Whether the file existed
+ */
+function removeJsonFile(file) {
+    getSnapshots(file).forEach(snapshot => fs.unlinkSync(snapshot));
+    lastSnapshotTimes.delete(file);
+    
+    if (!fs.existsSync(file)) return false;
+    fs.unlinkSync(file);
+    return true;
+}
+
+/**
+ * Read and parse a JSON file and check it against its schema
+ * @param {string} file - File path
+ * @param {Object} schema - Expected shape
+ * @returns {*} Parsed data
+ * @throws {Error} When the file can't be parsed or doesn't match the schema
+ */
+function parseJsonFile(file, schema) {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const errors = validateSchema(data, schema);
+    
+    if (errors.length > 0) {
+        throw new Error(`Invalid data: ${errors.slice(0, 3).join('; ')}${errors.length > 3 ? ` (and ${errors.length - 3} more)` : ''}`);
+    }
+    
+    return data;
+}
+
+/**
+ * Read a JSON data file, falling back to the newest valid snapshot when it is corrupt
+ * The corrupt file is kept next to the original as <file>.corrupt-<time>.
+ * @param {string} file - Data file path
+ * @returns {*} Parsed data, or null when the file doesn't exist or nothing could be recovered
+ */
+function readJsonFile(file) {
+    if (!fs.existsSync(file)) return null;
+    
+    const schema = DATA_SCHEMAS[file];
+    let problem;
+    try {
+        return parseJsonFile(file, schema);
+    } catch (err) {
+        problem = err.message;
+    }
+    
+    const name = path.basename(file);
+    logger.error(`DATA FILE CORRUPT: ${name} could not be loaded (${problem})`);
+    
+    const corruptCopy = `${file}.corrupt-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+    fs.copyFileSync(file, corruptCopy);
+    
+    for (const snapshot of getSnapshots(file)) {
+        let data;
+        try {
+            data = parseJsonFile(snapshot, schema);
+        } catch (err) {
+            logger.warn(`Snapshot ${path.basename(snapshot)} is not usable either: ${err.message}`);
+            continue;
+        }
+        
+        writeJsonFile(file, data);
+        logger.error(`DATA FILE RECOVERED: ${name} was restored from snapshot ${path.basename(snapshot)}. Changes made after that snapshot are lost.`);
+        addStorageWarning({ file: name, message: problem, recoveredFrom: path.basename(snapshot), corruptCopy: path.basename(corruptCopy) });
+        return data;
+    }
+    
+    logger.error(`DATA FILE LOST: no valid snapshot of ${name}; starting from defaults`);
+    addStorageWarning({ file: name, message: problem, recoveredFrom: null, corruptCopy: path.basename(corruptCopy) });
+    return null;
+}
+
+/**
+ * Get the storage driver and any problems found while loading the data
+ * @returns {Object} Driver ('sqlite' or 'json') and warnings
+ */
+function getStorageStatus() {
+    return {
+        driver: database.isDatabaseOpen() ? 'sqlite' : 'json',
+        warnings: storageWarnings
+    };
+}
+
+/**
+ * Apply stored counters and circuit breaker state to the session stats
+ * @param {Object} stats - Stored session stats
+ */
+function applyStats(stats) {
+    // Reset counter if it's a new day
+    if (stats.lastDateReset !== new Date().toDateString()) {
+        stats.addedToday = 0;
+        stats.lastDateReset = new Date().toDateString();
+        stats.hourlyAdditionCounts = new Array(24).fill(0);
+    }
+    
+    // Update session stats with loaded data
+    sessionStats.addedToday = stats.addedToday || 0;
+    sessionStats.lastDateReset = stats.lastDateReset;
+    sessionStats.hourlyAdditionCounts = stats.hourlyAdditionCounts || new Array(24).fill(0);
+    sessionStats.circuitBreakerTripped = stats.circuitBreakerTripped || false;
+    sessionStats.circuitBreakerResetTime = stats.circuitBreakerResetTime || null;
+    
+    // If circuit breaker was tripped but the timeout has passed, reset it
+    if (sessionStats.circuitBreakerTripped && sessionStats.circuitBreakerResetTime) {
+        const resetTime = new Date(sessionStats.circuitBreakerResetTime);
+        if (new Date() > resetTime) {
+            sessionStats.circuitBreakerTripped = false;
+            sessionStats.circuitBreakerResetTime = null;
+            sessionStats.consecutiveFailures = 0;
+            logger.info('Circuit breaker reset after timeout period');
+        }
+    }
+    
+    logger.info(`Loaded session stats: ${stats.addedToday} members added today`);
+}
+
 /**
  * Load session statistics from file if available
  */
 function loadSessionStats() {
     try {
-        if (fs.existsSync(STATS_FILE)) {
-            const data = fs.readFileSync(STATS_FILE, 'utf8');
-            const stats = JSON.parse(data);
-            
-            // Reset counter if it's a new day
-            if (stats.lastDateReset !== new Date().toDateString()) {
-                stats.addedToday = 0;
-                stats.lastDateReset = new Date().toDateString();
-                stats.hourlyAdditionCounts = new Array(24).fill(0);
-            }
-            
-            // Update session stats with loaded data
-            sessionStats.addedToday = stats.addedToday || 0;
-            sessionStats.lastDateReset = stats.lastDateReset;
-            sessionStats.hourlyAdditionCounts = stats.hourlyAdditionCounts || new Array(24).fill(0);
-            sessionStats.circuitBreakerTripped = stats.circuitBreakerTripped || false;
-            sessionStats.circuitBreakerResetTime = stats.circuitBreakerResetTime || null;
-            
-            // If circuit breaker was tripped but the timeout has passed, reset it
-            if (sessionStats.circuitBreakerTripped && sessionStats.circuitBreakerResetTime) {
-                const resetTime = new Date(sessionStats.circuitBreakerResetTime);
-                if (new Date() > resetTime) {
-                    sessionStats.circuitBreakerTripped = false;
-                    sessionStats.circuitBreakerResetTime = null;
-                    sessionStats.consecutiveFailures = 0;
-                    logger.info('Circuit breaker reset after timeout period');
-                }
-            }
-            
-            logger.info(`Loaded session stats: ${stats.addedToday} members added today`);
+        const stats = readJsonFile(STATS_FILE);
+        if (stats) {
+            applyStats(stats);
         } else {
             logger.info('No existing session stats found, using defaults');
         }
@@ -133,10 +538,8 @@ function loadSessionStats() {
  */
 function loadFailedNumbers() {
     try {
-        if (fs.existsSync(FAILED_NUMBERS_FILE)) {
-            const data = fs.readFileSync(FAILED_NUMBERS_FILE, 'utf8');
-            const failedNumbersData = JSON.parse(data);
-            
+        const failedNumbersData = readJsonFile(FAILED_NUMBERS_FILE);
+        if (failedNumbersData) {
             sessionStats.failedNumbers = new Map(failedNumbersData);
             logger.info(`Loaded ${sessionStats.failedNumbers.size} failed numbers`);
         } else {
@@ -149,24 +552,133 @@ function loadFailedNumbers() {
     }
 }
 
+/**
+ * Load consent records from file if available
+ */
+function loadConsentRecords() {
+    try {
+        const consentData = readJsonFile(CONSENT_FILE);
+        if (consentData) {
+            consentRecords = new Map(consentData);
+            
+            logger.info(`Loaded ${consentRecords.size} consent records`);
+        } else {
+            logger.info('No consent records found');
+        }
+    } catch (err) {
+        logger.error(`Error loading consent records: ${err.message}`);
+        // Use empty Map if there's an error
+        consentRecords = new Map();
+    }
+}
+
+/**
+ * Load suppression list from file if available
+ */
+function loadSuppressionList() {
+    try {
+        const suppressionData = readJsonFile(SUPPRESSION_FILE);
+        if (suppressionData) {
+            suppressionList = new Map(suppressionData);
+            
+            logger.info(`Loaded ${suppressionList.size} suppressed numbers`);
+        } else {
+            logger.info('No suppression list found');
+        }
+    } catch (err) {
+        logger.error(`Error loading suppression list: ${err.message}`);
+        // Use empty Map if there's an error
+        suppressionList = new Map();
+    }
+}
+
+/**
+ * Re-key entries of the consent register or suppression list by E.164 digits
+ * Older versions keyed numbers by whatever the default region made of them at the time,
+ * or by their raw digits when they couldn't be parsed. Entries that still can't be
+ * parsed keep their key so no opt-out is lost.
+ * @param {Map} register - Entries keyed by number
+ * @param {string} label - Name of the register for log messages
+ * @returns {Object} Re-keyed register and whether any key changed
+ */
+function normalizeNumberKeys(register, label) {
+    const normalized = new Map();
+    let changed = false;
+    
+    register.forEach((entry, key) => {
+        // Stored keys start with their country code; try the default region for national leftovers
+        let result = normalizePhoneNumber(key);
+        if (!result.isValid && sessionStats.defaultRegion) {
+            result = normalizePhoneNumber(key, sessionStats.defaultRegion);
+        }
+        
+        if (!result.isValid) {
+            logger.warn(`Keeping ${label} entry ${key} as is: ${result.reason}`);
+            normalized.set(key, entry);
+            return;
+        }
+        
+        if (result.digits !== key) {
+            changed = true;
+        }
+        
+        // Two old keys can turn out to be the same number; keep the first entry
+        if (!normalized.has(result.digits)) {
+            normalized.set(result.digits, { ...entry, number: result.digits });
+        }
+    });
+    
+    return { register: normalized, changed };
+}
+
+/**
+ * Store consent records and suppression entries by E.164 digits and save the ones that moved
+ */
+function normalizeRegisterKeys() {
+    const consent = normalizeNumberKeys(consentRecords, 'consent');
+    consentRecords = consent.register;
+    if (consent.changed) {
+        logger.info('Re-keyed consent records by E.164 number');
+        saveConsentRecords();
+    }
+    
+    const suppression = normalizeNumberKeys(suppressionList, 'suppression');
+    suppressionList = suppression.register;
+    if (suppression.changed) {
+        logger.info('Re-keyed the suppression list by E.164 number');
+        saveSuppressionList();
+    }
+}
+
+/**
+ * Apply a stored batch (interrupted or paused) to the session stats
+ * @param {Object} batchData - Batch numbers, index, group and paused flag
+ */
+function applyBatchData(batchData) {
+    sessionStats.batchPaused = Boolean(batchData.paused);
+    if (sessionStats.batchPaused) {
+        logger.warn('Batch processing is paused. Resume it to continue adding members.');
+    }
+    
+    if (batchData.currentBatch && batchData.currentBatch.length > 0) {
+        sessionStats.currentBatch = batchData.currentBatch;
+        sessionStats.currentBatchIndex = batchData.currentBatchIndex || 0;
+        sessionStats.lastGroupId = batchData.lastGroupId;
+        
+        logger.info(`Loaded interrupted batch with ${sessionStats.currentBatch.length - sessionStats.currentBatchIndex} numbers remaining`);
+    } else {
+        logger.info('No active batch found');
+    }
+}
+
 /**
  * Load batch data from file if available
  */
 function loadBatchData() {
     try {
-        if (fs.existsSync(BATCHES_FILE)) {
-            const data = fs.readFileSync(BATCHES_FILE, 'utf8');
-            const batchData = JSON.parse(data);
-            
-            if (batchData.currentBatch && batchData.currentBatch.length > 0) {
-                sessionStats.currentBatch = batchData.currentBatch;
-                sessionStats.currentBatchIndex = batchData.currentBatchIndex || 0;
-                sessionStats.lastGroupId = batchData.lastGroupId;
-                
-                logger.info(`Loaded interrupted batch with ${sessionStats.currentBatch.length - sessionStats.currentBatchIndex} numbers remaining`);
-            } else {
-                logger.info('No active batch found');
-            }
+        const batchData = readJsonFile(BATCHES_FILE);
+        if (batchData) {
+            applyBatchData(batchData);
         } else {
             logger.info('No batch data file found');
         }
@@ -176,14 +688,128 @@ function loadBatchData() {
         sessionStats.currentBatch = [];
         sessionStats.currentBatchIndex = 0;
         sessionStats.lastGroupId = null;
+        sessionStats.batchPaused = false;
+    }
+}
+
+/**
+ * Load job queue from file if available
+ */
+function loadJobs() {
+    try {
+        const storedJobs = readJsonFile(JOBS_FILE);
+        if (storedJobs) {
+            jobs = storedJobs;
+            
+            logger.info(`Loaded ${jobs.length} jobs from queue`);
+        } else {
+            logger.info('No job queue file found');
+        }
+    } catch (err) {
+        logger.error(`Error loading job queue: ${err.message}`);
+        // Use empty queue if there's an error
+        jobs = [];
     }
 }
 
+/**
+ * Load the groups created through the API from file if available
+ */
+function loadCreatedGroups() {
+    try {
+        const storedGroups = readJsonFile(CREATED_GROUPS_FILE);
+        if (storedGroups) {
+            createdGroups = storedGroups;
+            
+            logger.info(`Loaded ${createdGroups.length} created groups`);
+        }
+    } catch (err) {
+        logger.error(`Error loading created groups: ${err.message}`);
+        createdGroups = [];
+    }
+}
+
+/**
+ * Load user accounts and API tokens from file if available
+ */
+function loadAccounts() {
+    try {
+        users = readJsonFile(USERS_FILE) || [];
+        apiTokens = readJsonFile(API_TOKENS_FILE) || [];
+        
+        logger.info(`Loaded ${users.length} users and ${apiTokens.length} API tokens`);
+    } catch (err) {
+        logger.error(`Error loading user accounts: ${err.message}`);
+        users = [];
+        apiTokens = [];
+    }
+}
+
+/**
+ * Load settings saved through the API from file if available
+ */
+function loadSettings() {
+    try {
+        const settings = readJsonFile(SETTINGS_FILE);
+        if (settings) {
+            savedSettings = settings;
+            Object.assign(sessionStats, savedSettings);
+            logger.info('Loaded saved settings');
+        }
+    } catch (err) {
+        logger.error(`Error loading settings: ${err.message}`);
+    }
+}
+
+/**
+ * Save the settings changed through the API
+ */
+function saveSettings() {
+    try {
+        if (database.isDatabaseOpen()) {
+            database.setSetting('config', savedSettings);
+            return;
+        }
+        
+        writeJsonFile(SETTINGS_FILE, savedSettings);
+    } catch (err) {
+        logger.error(`Error saving settings: ${err.message}`);
+    }
+}
+
+/**
+ * Save counters and the batch position to the database
+ * The batch numbers are only written when a new batch starts.
+ */
+function saveStatsToDatabase() {
+    database.transaction(() => {
+        database.setSetting('stats', {
+            addedToday: sessionStats.addedToday,
+            lastDateReset: sessionStats.lastDateReset,
+            hourlyAdditionCounts: sessionStats.hourlyAdditionCounts,
+            circuitBreakerTripped: sessionStats.circuitBreakerTripped,
+            circuitBreakerResetTime: sessionStats.circuitBreakerResetTime
+        });
+        database.saveBatch({
+            currentBatch: sessionStats.currentBatch,
+            currentBatchIndex: sessionStats.currentBatchIndex,
+            lastGroupId: sessionStats.lastGroupId,
+            paused: sessionStats.batchPaused
+        });
+    });
+}
+
 /**
  * Save all session statistics to disk
  */
 function saveSessionStats() {
     try {
+        // Failed numbers are saved one at a time by saveFailedNumber
+        if (database.isDatabaseOpen()) {
+            saveStatsToDatabase();
+            return;
+        }
+        
         const stats = {
             addedToday: sessionStats.addedToday,
             lastDateReset: sessionStats.lastDateReset,
@@ -192,26 +818,46 @@ function saveSessionStats() {
             circuitBreakerResetTime: sessionStats.circuitBreakerResetTime
         };
         
-        fs.writeFileSync(STATS_FILE, JSON.stringify(stats, null, 2));
+        writeJsonFile(STATS_FILE, stats);
         
         // Save failed numbers data
         const failedNumbersData = Array.from(sessionStats.failedNumbers.entries());
-        fs.writeFileSync(FAILED_NUMBERS_FILE, JSON.stringify(failedNumbersData, null, 2));
+        writeJsonFile(FAILED_NUMBERS_FILE, failedNumbersData);
         
-        // Save current batch state if there's an active batch
-        if (sessionStats.currentBatch && sessionStats.currentBatch.length > 0) {
+        // Save current batch state if there's an active or paused batch
+        if ((sessionStats.currentBatch && sessionStats.currentBatch.length > 0) || sessionStats.batchPaused) {
             const batchData = {
                 currentBatch: sessionStats.currentBatch,
                 currentBatchIndex: sessionStats.currentBatchIndex,
-                lastGroupId: sessionStats.lastGroupId
+                lastGroupId: sessionStats.lastGroupId,
+                paused: sessionStats.batchPaused
             };
-            fs.writeFileSync(BATCHES_FILE, JSON.stringify(batchData, null, 2));
+            writeJsonFile(BATCHES_FILE, batchData);
+        } else {
+            removeJsonFile(BATCHES_FILE);
         }
     } catch (err) {
         logger.error(`Error saving session data: ${err.message}`);
     }
 }
 
+/**
+ * Save the failure record of one number
+ * @param {string} number - Formatted number (digits@c.us)
+ */
+function saveFailedNumber(number) {
+    if (!database.isDatabaseOpen()) {
+        saveSessionStats();
+        return;
+    }
+    
+    try {
+        database.saveFailedNumber(number, sessionStats.failedNumbers.get(number));
+    } catch (err) {
+        logger.error(`Error saving failed number: ${err.message}`);
+    }
+}
+
 /**
  * Clear failed numbers data
  */
@@ -219,8 +865,10 @@ function clearFailedNumbers() {
     sessionStats.failedNumbers = new Map();
     
     try {
-        if (fs.existsSync(FAILED_NUMBERS_FILE)) {
-            fs.unlinkSync(FAILED_NUMBERS_FILE);
+        if (database.isDatabaseOpen()) {
+            database.clearFailedNumbers();
+            logger.info('Failed numbers data cleared');
+        } else if (removeJsonFile(FAILED_NUMBERS_FILE)) {
             logger.info('Failed numbers data cleared');
         }
     } catch (err) {
@@ -230,6 +878,195 @@ function clearFailedNumbers() {
     return true;
 }
 
+/**
+ * Save consent records to disk
+ */
+function saveConsentRecords() {
+    try {
+        const consentData = Array.from(consentRecords.entries());
+        if (database.isDatabaseOpen()) {
+            database.replaceCollection('consent', consentData);
+            return;
+        }
+        
+        writeJsonFile(CONSENT_FILE, consentData);
+    } catch (err) {
+        logger.error(`Error saving consent records: ${err.message}`);
+    }
+}
+
+/**
+ * Get the E.164 digits a consent or suppression entry is stored under
+ * @param {string} number - Phone number
+ * @returns {string} E.164 digits
+ * @throws {Error} If the number can't be normalised
+ */
+function toRegisterKey(number) {
+    const normalized = normalizePhoneNumber(number, sessionStats.defaultRegion);
+    if (!normalized.isValid) {
+        throw new Error(`Invalid phone number ${number}: ${normalized.reason}`);
+    }
+    
+    return normalized.digits;
+}
+
+/**
+ * Get all consent records
+ * @returns {Array<Object>} Array of consent records
+ */
+function getConsentRecords() {
+    return Array.from(consentRecords.values());
+}
+
+/**
+ * Get the consent record for a number
+ * @param {string} number - Phone number digits
+ * @returns {Object|null} Consent record or null if none exists
+ */
+function getConsent(number) {
+    return consentRecords.get(toNumberKey(number, sessionStats.defaultRegion)) || null;
+}
+
+/**
+ * Record (or extend) the consent of a number to be added to groups
+ * @param {Object} consent - Consent details
+ * @param {string} consent.number - Phone number
+ * @param {string} consent.source - Where the opt-in was collected (form, event, import...)
+ * @param {string} [consent.consentedAt] - When the person opted in; defaults to now
+ * @param {Array<string>} [consent.groups] - Group IDs consented to; '*' means any group
+ * @param {boolean} [persist=true] - Whether to write the register to disk immediately
+ * @returns {Object} Stored consent record
+ */
+function recordConsent({ number, source, consentedAt, groups = ['*'] }, persist = true) {
+    const key = toRegisterKey(number);
+    const existing = consentRecords.get(key);
+    
+    const record = {
+        number: key,
+        source: source || (existing && existing.source) || 'manual',
+        consentedAt: consentedAt || (existing && existing.consentedAt) || new Date().toISOString(),
+        groups: Array.from(new Set([...(existing ? existing.groups : []), ...groups])),
+        updatedAt: new Date().toISOString()
+    };
+    
+    consentRecords.set(key, record);
+    
+    if (persist) {
+        saveConsentRecords();
+    }
+    
+    return record;
+}
+
+/**
+ * Remove the consent record of a number
+ * @param {string} number - Phone number
+ * @returns {boolean} Whether a record was removed
+ */
+function removeConsent(number) {
+    const removed = consentRecords.delete(toNumberKey(number, sessionStats.defaultRegion));
+    
+    if (removed) {
+        saveConsentRecords();
+    }
+    
+    return removed;
+}
+
+/**
+ * Check whether a number consented to be added to a group
+ * @param {string} number - Phone number
+ * @param {string} groupId - WhatsApp group ID
+ * @returns {boolean} Whether a matching consent record exists
+ */
+function hasConsent(number, groupId) {
+    const record = getConsent(number);
+    return Boolean(record && (record.groups.includes('*') || record.groups.includes(groupId)));
+}
+
+/**
+ * Save suppression list to disk
+ */
+function saveSuppressionList() {
+    try {
+        const suppressionData = Array.from(suppressionList.entries());
+        if (database.isDatabaseOpen()) {
+            database.replaceCollection('suppression', suppressionData);
+            return;
+        }
+        
+        writeJsonFile(SUPPRESSION_FILE, suppressionData);
+    } catch (err) {
+        logger.error(`Error saving suppression list: ${err.message}`);
+    }
+}
+
+/**
+ * Get all suppressed numbers
+ * @returns {Array<Object>} Array of suppression entries
+ */
+function getSuppressionList() {
+    return Array.from(suppressionList.values());
+}
+
+/**
+ * Check whether a number is on the do-not-add list
+ * @param {string} number - Phone number
+ * @returns {boolean} Whether the number is suppressed
+ */
+function isSuppressed(number) {
+    return suppressionList.has(toNumberKey(number, sessionStats.defaultRegion));
+}
+
+/**
+ * Add a number to the do-not-add list
+ * @param {Object} entry - Suppression details
+ * @param {string} entry.number - Phone number
+ * @param {string} [entry.reason] - Why the number must not be added
+ * @param {string} [entry.source] - How the entry was created (manual, keyword...)
+ * @param {boolean} [persist=true] - Whether to write the list to disk immediately
+ * @returns {Object} Stored suppression entry
+ */
+function addToSuppressionList({ number, reason = 'Requested not to be added', source = 'manual' }, persist = true) {
+    const key = toRegisterKey(number);
+    const existing = suppressionList.get(key);
+    
+    // Keep the original entry so the first opt-out date is preserved
+    if (existing) {
+        return existing;
+    }
+    
+    const entry = {
+        number: key,
+        reason,
+        source,
+        addedAt: new Date().toISOString()
+    };
+    
+    suppressionList.set(key, entry);
+    
+    if (persist) {
+        saveSuppressionList();
+    }
+    
+    return entry;
+}
+
+/**
+ * Remove a number from the do-not-add list
+ * @param {string} number - Phone number
+ * @returns {boolean} Whether an entry was removed
+ */
+function removeFromSuppressionList(number) {
+    const removed = suppressionList.delete(toNumberKey(number, sessionStats.defaultRegion));
+    
+    if (removed) {
+        saveSuppressionList();
+    }
+    
+    return removed;
+}
+
 /**
  * Clear current batch data
  */
@@ -239,8 +1076,10 @@ function clearBatchData() {
     sessionStats.lastGroupId = null;
     
     try {
-        if (fs.existsSync(BATCHES_FILE)) {
-            fs.unlinkSync(BATCHES_FILE);
+        if (database.isDatabaseOpen()) {
+            saveStatsToDatabase();
+            logger.info('Batch data cleared');
+        } else if (removeJsonFile(BATCHES_FILE)) {
             logger.info('Batch data cleared');
         }
     } catch (err) {
@@ -250,6 +1089,218 @@ function clearBatchData() {
     return true;
 }
 
+/**
+ * Save job queue to disk
+ * @param {Object} [job] - Only this job changed; with SQLite just its row is written
+ */
+function saveJobs(job) {
+    try {
+        if (database.isDatabaseOpen()) {
+            if (job && jobs.includes(job)) {
+                database.saveJob(job, jobs.indexOf(job));
+            } else {
+                database.saveJobs(jobs);
+            }
+            return;
+        }
+        
+        if (jobProgressTimer) {
+            clearTimeout(jobProgressTimer);
+            jobProgressTimer = null;
+        }
+        lastJobsWriteTime = Date.now();
+        writeJsonFile(JOBS_FILE, jobs);
+    } catch (err) {
+        logger.error(`Error saving job queue: ${err.message}`);
+    }
+}
+
+/**
+ * Save the progress of a running job after each number
+ * SQLite writes just that job's row and its new results; the JSON driver rewrites the whole
+ * jobs.json, so there progress is written at most every few seconds. Status changes use saveJobs.
+ * @param {Object} job - Job that made progress
+ */
+function saveJobProgress(job) {
+    if (database.isDatabaseOpen()) {
+        saveJobs(job);
+        return;
+    }
+    
+    if (jobProgressTimer) return;
+    
+    const wait = lastJobsWriteTime + JOB_PROGRESS_SAVE_INTERVAL_MS - Date.now();
+    if (wait <= 0) {
+        saveJobs();
+        return;
+    }
+    
+    jobProgressTimer = setTimeout(() => {
+        jobProgressTimer = null;
+        saveJobs();
+    }, wait);
+    jobProgressTimer.unref();
+}
+
+/**
+ * Get all jobs in the queue
+ * @returns {Array<Object>} Jobs in submission order
+ */
+function getJobs() {
+    return jobs;
+}
+
+/**
+ * Record a group created through the API
+ * @param {Object} group - Group ID, name, invite link, initial members and follow-up job ID
+ * @returns {Object} Stored record
+ */
+function recordCreatedGroup(group) {
+    const record = { ...group, createdAt: group.createdAt || new Date().toISOString() };
+    createdGroups.push(record);
+    
+    try {
+        if (database.isDatabaseOpen()) {
+            database.addCreatedGroup(record);
+            return record;
+        }
+        
+        writeJsonFile(CREATED_GROUPS_FILE, createdGroups);
+    } catch (err) {
+        logger.error(`Error saving created groups: ${err.message}`);
+    }
+    
+    return record;
+}
+
+/**
+ * Get the groups created through the API
+ * @returns {Array<Object>} Created groups in creation order
+ */
+function getCreatedGroups() {
+    return createdGroups;
+}
+
+/**
+ * Get all user accounts
+ * @returns {Array<Object>} Users with username, password hash and role
+ */
+function getUsers() {
+    return users;
+}
+
+/**
+ * Save user accounts to disk
+ */
+function saveUsers() {
+    try {
+        if (database.isDatabaseOpen()) {
+            database.replaceCollection('users', users.map(user => [user.username, user]));
+            return;
+        }
+        
+        writeJsonFile(USERS_FILE, users);
+    } catch (err) {
+        logger.error(`Error saving users: ${err.message}`);
+    }
+}
+
+/**
+ * Get all API tokens
+ * @returns {Array<Object>} Tokens with name, role and token hash
+ */
+function getApiTokens() {
+    return apiTokens;
+}
+
+/**
+ * Save API tokens to disk
+ */
+function saveApiTokens() {
+    try {
+        if (database.isDatabaseOpen()) {
+            database.replaceCollection('api_tokens', apiTokens.map(token => [token.id, token]));
+            return;
+        }
+        
+        writeJsonFile(API_TOKENS_FILE, apiTokens);
+    } catch (err) {
+        logger.error(`Error saving API tokens: ${err.message}`);
+    }
+}
+
+/**
+ * Append an entry to the audit log
+ * Entries are never changed or removed; without SQLite the file holds one JSON object per line.
+ * @param {Object} entry - Audit entry
+ */
+function appendAuditEntry(entry) {
+    try {
+        if (database.isDatabaseOpen()) {
+            database.appendAuditEntry(entry);
+            return;
+        }
+        
+        fs.appendFileSync(AUDIT_FILE, JSON.stringify(entry) + '\n');
+    } catch (err) {
+        logger.error(`Error writing audit log: ${err.message}`);
+    }
+}
+
+/**
+ * Get audit log entries, oldest first
+ * @param {Object} filters - Optional filters
+ * @param {Date} filters.from - Only entries at or after this time
+ * @param {Date} filters.to - Only entries at or before this time
+ * @param {string} filters.actor - Only entries by this user or token
+ * @param {string} filters.action - Only entries with this action
+ * @returns {Array<Object>} Audit entries
+ */
+function getAuditEntries({ from, to, actor, action } = {}) {
+    if (database.isDatabaseOpen()) {
+        try {
+            return database.getAuditEntries({ from, to, actor, action });
+        } catch (err) {
+            logger.error(`Error reading audit log: ${err.message}`);
+            return [];
+        }
+    }
+    
+    return readAuditLog().filter(entry => {
+        const time = new Date(entry.timestamp);
+        if (from && time < from) return false;
+        if (to && time > to) return false;
+        if (actor && entry.actor !== actor) return false;
+        if (action && entry.action !== action) return false;
+        return true;
+    });
+}
+
+/**
+ * Read all entries of the audit log file
+ * @returns {Array<Object>} Audit entries, oldest first
+ */
+function readAuditLog() {
+    let lines;
+    try {
+        lines = fs.existsSync(AUDIT_FILE) ? fs.readFileSync(AUDIT_FILE, 'utf8').split('\n').filter(Boolean) : [];
+    } catch (err) {
+        logger.error(`Error reading audit log: ${err.message}`);
+        return [];
+    }
+    
+    const entries = [];
+    lines.forEach(line => {
+        try {
+            entries.push(JSON.parse(line));
+        } catch (err) {
+            // A line cut short by a crash; keep reading the rest
+        }
+    });
+    
+    return entries;
+}
+
 /**
  * Get current session statistics
  * @returns {Object} Current session stats
@@ -265,6 +1316,14 @@ function getSessionStats() {
 function updateSessionStats(updates) {
     Object.assign(sessionStats, updates);
     saveSessionStats();
+    
+    const settings = Object.keys(updates).filter(key => CONFIG_KEYS.includes(key));
+    if (settings.length > 0) {
+        settings.forEach(key => {
+            savedSettings[key] = updates[key];
+        });
+        saveSettings();
+    }
 }
 
 /**
@@ -314,7 +1373,9 @@ function getFailedNumbers() {
             count: details.count,
             firstFailure: details.firstFailure,
             lastFailure: details.lastFailure,
-            reason: details.reason
+            reason: details.reason,
+            errorType: details.errorType || 'unknown',
+            operation: details.operation || 'add'
         };
     });
     
@@ -324,12 +1385,37 @@ function getFailedNumbers() {
 // Export service functions
 module.exports = {
     initializeDataStorage,
+    closeDataStorage,
+    getStorageStatus,
     saveSessionStats,
+    saveFailedNumber,
     getSessionStats,
     updateSessionStats,
     clearFailedNumbers,
     clearBatchData,
     getLogDates,
     getLogs,
-    getFailedNumbers
+    getFailedNumbers,
+    getJobs,
+    saveJobs,
+    saveJobProgress,
+    recordCreatedGroup,
+    getCreatedGroups,
+    getUsers,
+    saveUsers,
+    getApiTokens,
+    saveApiTokens,
+    appendAuditEntry,
+    getAuditEntries,
+    getConsentRecords,
+    getConsent,
+    recordConsent,
+    removeConsent,
+    hasConsent,
+    saveConsentRecords,
+    getSuppressionList,
+    isSuppressed,
+    addToSuppressionList,
+    removeFromSuppressionList,
+    saveSuppressionList
 };
\ No newline at end of file
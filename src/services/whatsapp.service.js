@@ -3,16 +3,38 @@
  * Handles all interactions with WhatsApp Web
  */
 
-const { Client, LocalAuth } = require('whatsapp-web.js');
+const { Client, LocalAuth, MessageMedia } = require('whatsapp-web.js');
 const qrcode = require('qrcode-terminal');
-const fs = require('fs');
 const path = require('path');
 const logger = require('../utils/logger');
-const { saveSessionStats, getSessionStats } = require('./storage.service');
+const { normalizePhoneNumber, toNumberKey } = require('../utils/phone');
+const { renderTemplate } = require('../utils/template');
+const { ADD_ERROR_TYPES, createAddError, classifyAddError } = require('../utils/error-classifier');
+const {
+    saveSessionStats,
+    clearBatchData,
+    saveFailedNumber,
+    getSessionStats,
+    saveJobs,
+    saveJobProgress,
+    getCreatedGroups,
+    hasConsent,
+    isSuppressed,
+    addToSuppressionList
+} = require('./storage.service');
+const { ADMIN_ROOM } = require('./socket.service');
 
 // Path for authentication data
 const authDir = path.join(process.cwd(), '.wwebjs_auth');
 
+// Group settings that can be changed, with the GroupChat method applying each
+const GROUP_SETTING_METHODS = {
+    subject: 'setSubject',
+    description: 'setDescription',
+    messagesAdminsOnly: 'setMessagesAdminsOnly',
+    infoAdminsOnly: 'setInfoAdminsOnly'
+};
+
 /**
  * Setup WhatsApp client with optimized configuration
  * @param {Object} io - Socket.IO instance for real-time communication
@@ -56,6 +78,9 @@ function setupWhatsAppClient(io) {
     const maxReconnectAttempts = 5;
     let reconnectAttempts = 0;
     
+    // Only true between 'ready' and 'disconnected'; after 'authenticated' chats can't be fetched yet
+    let isClientReady = false;
+    
     // Attempt reconnection with exponential backoff
     function attemptReconnect() {
         if (reconnectAttempts >= maxReconnectAttempts) {
@@ -74,6 +99,7 @@ function setupWhatsAppClient(io) {
             }
             
             // Initialize the client 
+            isClientReady = false;
             client.initialize();
         } catch (err) {
             logger.error(`Error during reconnect attempt: ${err.message}`);
@@ -107,14 +133,14 @@ function setupWhatsAppClient(io) {
             // Prepare the QR code data
             const qrData = { qr: qr };
             
-            // First broadcast to all connected sockets
-            io.emit('qr-code', qrData);
-            logger.info(`QR code emitted to all clients with event: 'qr-code'`);
+            // First broadcast to the admin sockets; scanning the QR code takes over the session
+            io.emitToAdmins('qr-code', qrData);
+            logger.info(`QR code emitted to admin clients with event: 'qr-code'`);
             
-            // Then attempt direct delivery to each socket with retry logic
+            // Then attempt direct delivery to each admin socket with retry logic
             try {
-                const sockets = Array.from(io.sockets.sockets.values());
-                logger.info(`Found ${sockets.length} active sockets for direct delivery`);
+                const sockets = Array.from(io.sockets.sockets.values()).filter(socket => socket.rooms.has(ADMIN_ROOM));
+                logger.info(`Found ${sockets.length} active admin sockets for direct delivery`);
                 
                 sockets.forEach((socket) => {
                     try {
@@ -132,8 +158,8 @@ function setupWhatsAppClient(io) {
             }
             
             // Force UI to show QR code section with reliable delivery
-            io.emit('show-qr');
-            logger.info('show-qr event emitted to all clients');
+            io.emitToAdmins('show-qr');
+            logger.info('show-qr event emitted to admin clients');
             
             // Reset reconnect attempts when we get a new QR code
             reconnectAttempts = 0;
@@ -142,8 +168,8 @@ function setupWhatsAppClient(io) {
             setTimeout(() => {
                 try {
                     logger.info('Performing scheduled QR code rebroadcast for reliability');
-                    io.emit('qr-code', qrData);
-                    io.emit('show-qr');
+                    io.emitToAdmins('qr-code', qrData);
+                    io.emitToAdmins('show-qr');
                 } catch (reErr) {
                     logger.error(`Error in QR rebroadcast: ${reErr.message}`);
                 }
@@ -155,6 +181,7 @@ function setupWhatsAppClient(io) {
 
     client.on('ready', () => {
         logger.success('WhatsApp client is ready and connected!');
+        isClientReady = true;
         
         // Notify all web clients that WhatsApp is connected
         io.emit('whatsapp-status', { connected: true });
@@ -190,6 +217,7 @@ function setupWhatsAppClient(io) {
 
     client.on('disconnected', (reason) => {
         logger.error(`WhatsApp client disconnected: ${reason}`);
+        isClientReady = false;
         
         // Notify web clients
         io.emit('whatsapp-status', { connected: false, reason });
@@ -211,40 +239,66 @@ function setupWhatsAppClient(io) {
         }
     });
     
+    // Opt senders out when they reply with a suppression keyword such as STOP
+    client.on('message', async (msg) => {
+        try {
+            // Only direct messages count; group chatter is too easy to misread
+            if (!msg.from || !/@(c\.us|lid)$/.test(msg.from) || !msg.body) return;
+            
+            const keyword = msg.body.trim().toUpperCase();
+            if (!getSessionStats().suppressionKeywords.includes(keyword)) return;
+            
+            // Senders with a linked ID (@lid) don't show their number; their contact does
+            let digits = msg.from.endsWith('@c.us') ? msg.from.replace('@c.us', '') : null;
+            if (!digits) {
+                const contact = await msg.getContact();
+                digits = contact && contact.number ? contact.number : null;
+            }
+            
+            if (!digits) {
+                logger.warn(`Could not find the phone number of ${msg.from}, who replied "${keyword}"; add it to the suppression list manually`);
+                return;
+            }
+            
+            const entry = addToSuppressionList({
+                // WhatsApp numbers carry the country code, so they're read as international numbers
+                number: `+${digits}`,
+                reason: `Replied "${keyword}"`,
+                source: 'keyword'
+            });
+            
+            logger.info(`Added ${entry.number} to the suppression list after a "${keyword}" reply`);
+            io.emit('suppression-added', entry);
+        } catch (err) {
+            logger.error(`Error handling incoming message: ${err.message}`);
+        }
+    });
+    
     /**
      * Validates a phone number and formats for WhatsApp API
      * @param {string} number - Phone number to validate
-     * @returns {Object} Validation result containing isValid, reason, and formatted number
+     * @returns {Object} Validation result containing isValid, reason, formatted number and E.164 form
      */
     function validatePhoneNumber(number) {
-        // Strip all non-numeric characters
-        const stripped = number.replace(/\D/g, '');
-        
-        // Basic validation - must be at least 10 digits and not more than 15 (intl standard)
-        if (stripped.length < 10 || stripped.length > 15) {
-            return {
-                isValid: false,
-                reason: `Invalid length (${stripped.length}). Must be 10-15 digits.`,
-                formatted: null
-            };
-        }
+        // Parse to E.164, using the default region for numbers without a country code
+        const normalized = normalizePhoneNumber(number, getSessionStats().defaultRegion);
         
-        // Check for obvious invalid numbers
-        if (/^0{10,}$/.test(stripped)) {
+        if (!normalized.isValid) {
             return {
                 isValid: false,
-                reason: 'Number contains only zeros',
+                reason: normalized.reason,
                 formatted: null
             };
         }
         
         // Format for WhatsApp API
-        const formatted = `${stripped}@c.us`;
+        const formatted = `${normalized.digits}@c.us`;
         
         return {
             isValid: true,
             reason: 'Valid number',
-            formatted
+            formatted,
+            e164: normalized.e164
         };
     }
 
@@ -295,6 +349,584 @@ function setupWhatsAppClient(io) {
         return Math.floor(baseDelay * delayMultiplier) * 1000;
     }
 
+    /**
+     * Estimate how long adding a number of members will take with the current limits
+     * @param {number} count - Number of members that would be added
+     * @returns {Object} Estimated duration, completion time and daily limit overflow
+     */
+    function estimateBatchDuration(count) {
+        const safetyConfig = getSessionStats();
+        const minDelay = Number(safetyConfig.minDelay);
+        const maxDelay = Number(safetyConfig.maxDelay);
+        const hourlyLimit = Number(safetyConfig.hourlyLimit);
+        const dailyLimit = Number(safetyConfig.dailyLimit);
+        const maxBatchSize = Number(safetyConfig.maxBatchSize);
+        
+        // Only today's remaining quota is processed; the loop skips the rest once the daily limit is hit
+        const remainingToday = Math.max(0, dailyLimit - safetyConfig.addedToday);
+        const processable = Math.min(count, remainingToday);
+        
+        // Same average used for the live ETA, plus the periodic batch cooldowns
+        const avgDelaySeconds = ((minDelay + maxDelay) / 2) * 1.2; // 20% buffer
+        const cooldowns = Math.floor(Math.max(processable - 1, 0) / maxBatchSize);
+        const pacedSeconds = processable * avgDelaySeconds + cooldowns * Number(safetyConfig.batchCooldown);
+        
+        // Each clock hour can hold at most hourlyLimit additions
+        const hourBoundSeconds = Math.max(0, Math.ceil(processable / hourlyLimit) - 1) * 3600;
+        
+        const seconds = Math.round(Math.max(pacedSeconds, hourBoundSeconds));
+        const estimatedCompletion = new Date(Date.now() + seconds * 1000);
+        
+        return {
+            seconds,
+            hours: Math.round((seconds / 3600) * 10) / 10,
+            estimatedCompletion: estimatedCompletion.toISOString(),
+            hourlyWaits: Math.max(0, Math.ceil(processable / hourlyLimit) - 1),
+            remainingToday,
+            skippedByDailyLimit: count - processable
+        };
+    }
+
+    /**
+     * Get a group chat
+     * @param {string} groupId - WhatsApp group ID
+     * @returns {Promise<Object>} Group chat as returned by WhatsApp Web
+     */
+    async function getGroupChat(groupId) {
+        const chat = await client.getChatById(groupId);
+        if (!chat || !chat.isGroup) {
+            throw new Error('Provided ID is not a group');
+        }
+        
+        return chat;
+    }
+
+    /**
+     * Get the participants of a group
+     * @param {string} groupId - WhatsApp group ID
+     * @returns {Promise<Array<Object>>} Group participants as returned by WhatsApp Web
+     */
+    async function getGroupParticipants(groupId) {
+        const chat = await getGroupChat(groupId);
+        return chat.participants || [];
+    }
+
+    /**
+     * Check whether the connected account is an admin among the given participants
+     * @param {Array<Object>} participants - Group participants
+     * @returns {boolean|null} Admin status, or null when the connected account's ID isn't available
+     */
+    function isAdminOf(participants) {
+        const myId = client.info && client.info.wid ? client.info.wid._serialized : null;
+        if (!myId) return null;
+        
+        const me = participants.find(p => p.id._serialized === myId);
+        return Boolean(me && (me.isAdmin || me.isSuperAdmin));
+    }
+
+    /**
+     * Describe a group participant for the API
+     * @param {Object} participant - Participant as returned by WhatsApp Web
+     * @returns {Object} Participant ID, number and admin flags
+     */
+    function describeParticipant(participant) {
+        return {
+            id: participant.id._serialized,
+            number: participant.id.user || participant.id._serialized.replace(/@.*$/, ''),
+            isAdmin: Boolean(participant.isAdmin || participant.isSuperAdmin),
+            isSuperAdmin: Boolean(participant.isSuperAdmin)
+        };
+    }
+
+    /**
+     * List every group the connected account belongs to
+     * Groups created through the API are flagged, and listed even before WhatsApp Web has synced them.
+     * @returns {Promise<Array<Object>>} Groups with ID, name, participant count, admin status and creation date
+     */
+    async function listGroups() {
+        const chats = await client.getChats();
+        const created = new Map(getCreatedGroups().map(group => [group.id, group]));
+        
+        const groups = chats
+            .filter(chat => chat.isGroup)
+            .map(chat => {
+                const participants = chat.participants || [];
+                const creation = chat.groupMetadata && chat.groupMetadata.creation;
+                const record = created.get(chat.id._serialized);
+                created.delete(chat.id._serialized);
+                
+                return {
+                    id: chat.id._serialized,
+                    name: chat.name || '',
+                    participantCount: participants.length,
+                    isAdmin: isAdminOf(participants),
+                    createdAt: creation ? new Date(creation * 1000).toISOString() : null,
+                    createdHere: Boolean(record),
+                    inviteLink: record ? record.inviteLink : null
+                };
+            });
+        
+        // Groups missing from the chat list may still be found by ID; otherwise their members and admin status are unknown
+        const unsynced = await Promise.all(Array.from(created.values()).map(async record => {
+            let participants = null;
+            try {
+                participants = await getGroupParticipants(record.id);
+            } catch (err) {
+                logger.debug(`Participants of new group ${record.id} not available yet: ${err.message}`);
+            }
+            
+            return {
+                id: record.id,
+                name: record.name || '',
+                participantCount: participants ? participants.length : null,
+                isAdmin: participants ? isAdminOf(participants) : null,
+                createdAt: record.createdAt,
+                createdHere: true,
+                inviteLink: record.inviteLink
+            };
+        }));
+        
+        return groups.concat(unsynced).sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Create a group with a first set of members
+     * Only the first initialSize eligible numbers are added on creation, within the hourly and
+     * daily limits; the other numbers are returned so they can be queued as an addition job.
+     * @param {string} name - Group name
+     * @param {Array<string>} numbers - Phone numbers for the group
+     * @param {Object} options - Creation options
+     * @param {number} options.initialSize - Maximum members to add on creation
+     * @param {string} options.description - Optional group description
+     * @param {Object} options.picture - Optional picture as { mimetype, data (base64) }
+     * @returns {Promise<Object>} Group ID, invite link, added/failed/skipped initial members and remaining numbers
+     */
+    async function createGroupWithMembers(name, numbers, { initialSize = 10, description = null, picture = null } = {}) {
+        const safetyConfig = getSessionStats();
+        const hourlyRemaining = safetyConfig.hourlyLimit - safetyConfig.hourlyAdditionCounts[new Date().getHours()];
+        const dailyRemaining = safetyConfig.dailyLimit - safetyConfig.addedToday;
+        const limit = Math.max(0, Math.min(initialSize, hourlyRemaining, dailyRemaining));
+        
+        const initial = [];
+        const skipped = [];
+        const seen = new Set();
+        let cutoff = 0;
+        
+        // Pick the initial members; everything after the last one picked is left for the job
+        for (let i = 0; i < numbers.length && initial.length < limit; i++) {
+            const validation = validatePhoneNumber(numbers[i]);
+            const digits = validation.isValid ? validation.formatted.replace('@c.us', '') : null;
+            
+            if (!validation.isValid) {
+                skipped.push({ number: numbers[i], reason: validation.reason });
+            } else if (seen.has(digits)) {
+                skipped.push({ number: numbers[i], reason: 'Duplicate in list' });
+            } else if (isSuppressed(validation.e164)) {
+                skipped.push({ number: numbers[i], reason: 'suppressed' });
+            } else if (safetyConfig.requireConsent && !hasConsent(validation.e164, null)) {
+                // Only consent for any group can cover a group that doesn't exist yet
+                skipped.push({ number: numbers[i], reason: 'no consent' });
+            } else {
+                initial.push({ number: numbers[i], id: validation.formatted });
+            }
+            
+            if (digits) seen.add(digits);
+            cutoff = i + 1;
+        }
+        
+        const result = await client.createGroup(name, initial.map(member => member.id), { autoSendInviteV4: false });
+        if (typeof result === 'string' || !result || !result.gid) {
+            throw new Error(typeof result === 'string' ? result : 'Group could not be created');
+        }
+        
+        const groupId = result.gid._serialized;
+        logger.success(`Created group "${name}" (${groupId}) with ${initial.length} initial members`);
+        
+        const added = [];
+        const failed = [];
+        initial.forEach(member => {
+            const participant = (result.participants || {})[member.id];
+            const statusCode = participant ? participant.statusCode : 200;
+            
+            if (statusCode === 200) {
+                added.push(member.number);
+                safetyConfig.addedToday++;
+                updateHourlyCount();
+                return;
+            }
+            
+            const err = new Error(participant.message || `Participant was not added (${statusCode})`);
+            err.addStatusCode = statusCode;
+            const classified = classifyAddError(err);
+            
+            updateFailedNumber(member.id, classified.message, classified.type);
+            failed.push({ number: member.number, reason: classified.message, errorType: classified.type });
+        });
+        saveSessionStats();
+        
+        // Description, picture and invite link are extras; the group exists even if they fail
+        const notes = [];
+        let inviteLink = null;
+        try {
+            const chat = await getGroupChat(groupId);
+            
+            if (description && await chat.setDescription(description) === false) {
+                notes.push('Description could not be set');
+            }
+            if (picture && await chat.setPicture(new MessageMedia(picture.mimetype, picture.data)) === false) {
+                notes.push('Picture could not be set');
+            }
+            
+            inviteLink = `https://chat.whatsapp.com/${await chat.getInviteCode()}`;
+        } catch (err) {
+            logger.error(`Error finishing setup of group ${groupId}: ${err.message}`);
+            notes.push(`Group setup incomplete: ${err.message}`);
+        }
+        
+        return {
+            groupId,
+            name,
+            inviteLink,
+            added,
+            failed,
+            skipped,
+            remaining: numbers.slice(cutoff),
+            notes
+        };
+    }
+
+    /**
+     * List the participants of a group
+     * @param {string} groupId - WhatsApp group ID
+     * @param {Object} options - Listing options
+     * @param {boolean} options.includeNames - Look up each participant's push name (one contact lookup per participant)
+     * @returns {Promise<Object>} Group ID, name and described participants
+     */
+    async function listGroupParticipants(groupId, { includeNames = false } = {}) {
+        const chat = await getGroupChat(groupId);
+        const participants = (chat.participants || []).map(describeParticipant);
+        
+        if (includeNames) {
+            for (const participant of participants) {
+                try {
+                    const contact = await client.getContactById(participant.id);
+                    participant.pushName = contact.pushname || null;
+                } catch (err) {
+                    // Push names are best effort; contacts we never talked to may be unknown
+                    participant.pushName = null;
+                }
+            }
+        }
+        
+        return {
+            id: groupId,
+            name: chat.name || '',
+            participants
+        };
+    }
+
+    /**
+     * Check admin rights and remaining capacity of a group
+     * @param {string} groupId - WhatsApp group ID
+     * @param {Object} chat - Group chat
+     * @param {Object} options - What would be added
+     * @param {Array<string>} options.numbers - Numbers to add; existing members and invalid numbers don't need room
+     * @param {number} options.count - Number of people to add when the list isn't known
+     * @returns {Object} Admin status, participant count, remaining capacity and overflow
+     */
+    function getGroupReadiness(groupId, chat, { numbers = null, count = 0 } = {}) {
+        const participants = chat.participants || [];
+        const sizeLimit = Number(getSessionStats().groupSizeLimit);
+        
+        const isAdmin = isAdminOf(participants);
+        
+        let toAdd = count;
+        if (numbers) {
+            const members = toMemberSet(participants);
+            const newNumbers = new Set();
+            numbers.forEach(number => {
+                const validation = validatePhoneNumber(number);
+                const digits = validation.isValid ? validation.formatted.replace('@c.us', '') : null;
+                if (digits && !members.has(digits)) newNumbers.add(digits);
+            });
+            toAdd = newNumbers.size;
+        }
+        
+        const remainingCapacity = Math.max(0, sizeLimit - participants.length);
+        const overflow = Math.max(0, toAdd - remainingCapacity);
+        
+        return {
+            groupId,
+            name: chat.name || '',
+            isAdmin,
+            participantCount: participants.length,
+            sizeLimit,
+            remainingCapacity,
+            toAdd,
+            overflow,
+            ready: isAdmin !== false && overflow === 0
+        };
+    }
+
+    /**
+     * Check a group before adding members to it
+     * @param {string} groupId - WhatsApp group ID
+     * @param {Object} options - Numbers or count that would be added (see getGroupReadiness)
+     * @returns {Promise<Object>} Group readiness
+     */
+    async function checkGroup(groupId, options = {}) {
+        const chat = await getGroupChat(groupId);
+        return getGroupReadiness(groupId, chat, options);
+    }
+
+    /**
+     * Promote and demote group admins
+     * @param {string} groupId - WhatsApp group ID
+     * @param {Object} changes - Numbers to change
+     * @param {Array<string>} changes.promote - Numbers to make admin
+     * @param {Array<string>} changes.demote - Numbers to make regular members
+     * @returns {Promise<Object>} Promoted and demoted numbers, and skipped numbers with reasons
+     */
+    async function updateGroupAdmins(groupId, { promote = [], demote = [] } = {}) {
+        const chat = await getGroupChat(groupId);
+        const participants = chat.participants || [];
+        
+        if (isAdminOf(participants) === false) {
+            throw createAddError(ADD_ERROR_TYPES.NOT_ADMIN, 'The connected account is not an admin of this group');
+        }
+        
+        const members = new Map(participants.map(describeParticipant).map(member => [member.number, member]));
+        const myId = client.info && client.info.wid ? client.info.wid._serialized : null;
+        const skipped = [];
+        
+        // Keep the numbers whose admin status actually changes
+        const select = (numbers, makeAdmin) => numbers.filter(number => {
+            const validation = validatePhoneNumber(number);
+            const member = validation.isValid ? members.get(validation.formatted.replace('@c.us', '')) : null;
+            
+            if (!member) {
+                skipped.push({ number, reason: validation.isValid ? 'not a member' : validation.reason });
+            } else if (member.id === myId) {
+                skipped.push({ number, reason: 'connected account' });
+            } else if (member.isSuperAdmin) {
+                skipped.push({ number, reason: 'group owner' });
+            } else if (member.isAdmin === makeAdmin) {
+                skipped.push({ number, reason: makeAdmin ? 'already an admin' : 'not an admin' });
+            } else {
+                return true;
+            }
+            return false;
+        });
+        
+        const toPromote = select(promote, true);
+        const toDemote = select(demote, false);
+        const toId = number => validatePhoneNumber(number).formatted;
+        
+        if (toPromote.length > 0) {
+            await withRetries(() => chat.promoteParticipants(toPromote.map(toId)), 'promoting admins');
+            logger.info(`Promoted ${toPromote.length} admins in group ${groupId}`);
+        }
+        
+        if (toDemote.length > 0) {
+            await withRetries(() => chat.demoteParticipants(toDemote.map(toId)), 'demoting admins');
+            logger.info(`Demoted ${toDemote.length} admins in group ${groupId}`);
+        }
+        
+        return {
+            groupId,
+            promoted: toPromote,
+            demoted: toDemote,
+            skipped
+        };
+    }
+
+    /**
+     * Change a group's subject, description and admin-only restrictions
+     * @param {string} groupId - WhatsApp group ID
+     * @param {Object} settings - Settings to change; omitted settings are left alone
+     * @param {string} settings.subject - New group name
+     * @param {string} settings.description - New group description
+     * @param {boolean} settings.messagesAdminsOnly - Whether only admins can send messages
+     * @param {boolean} settings.infoAdminsOnly - Whether only admins can edit group info
+     * @returns {Promise<Object>} Applied settings and failed settings with reasons
+     */
+    async function updateGroupSettings(groupId, settings = {}) {
+        const chat = await getGroupChat(groupId);
+        
+        if (isAdminOf(chat.participants || []) === false) {
+            throw createAddError(ADD_ERROR_TYPES.NOT_ADMIN, 'The connected account is not an admin of this group');
+        }
+        
+        const applied = {};
+        const failed = {};
+        
+        for (const [setting, method] of Object.entries(GROUP_SETTING_METHODS)) {
+            if (settings[setting] === undefined) continue;
+            
+            try {
+                // The library returns false instead of throwing when WhatsApp refuses the change
+                const ok = await withRetries(() => chat[method](settings[setting]), `changing group ${setting}`);
+                if (ok === false) {
+                    failed[setting] = 'Change was refused by WhatsApp';
+                } else {
+                    applied[setting] = settings[setting];
+                }
+            } catch (err) {
+                failed[setting] = err.message;
+            }
+        }
+        
+        logger.info(`Updated settings of group ${groupId}: ${Object.keys(applied).join(', ') || 'none'}`);
+        
+        return { groupId, applied, failed };
+    }
+
+    /**
+     * Apply admin and settings changes to many groups, paced like member additions
+     * @param {Array<string>} groupIds - Groups to change
+     * @param {Object} job - Queue job with changes ({ promote, demote, settings }), progress and results
+     * @returns {Promise<Object>} Result per group
+     */
+    async function manageGroups(groupIds, job) {
+        const safetyConfig = getSessionStats();
+        const { promote = [], demote = [], settings = {} } = job.changes || {};
+        
+        if (safetyConfig.isAddingMembers) {
+            return { success: false, message: 'Already processing a batch for a group' };
+        }
+        
+        if (checkCircuitBreaker()) {
+            return { 
+                success: false, 
+                resumable: true,
+                retryAt: getLimitResetTime('protection').toISOString(),
+                message: 'Protection mode active due to too many failures. Please wait for the cooldown.' 
+            };
+        }
+        
+        safetyConfig.isAddingMembers = true;
+        safetyConfig.userStatus = 'managing';
+        
+        const results = job.results || {
+            success: true,
+            updated: 0,
+            failed: 0,
+            skipped: 0,
+            details: [],
+            batch: {
+                total: groupIds.length,
+                processed: 0,
+                remaining: groupIds.length,
+                estimatedCompletion: null
+            }
+        };
+        results.success = true;
+        delete results.message;
+        delete results.resumable;
+        delete results.retryAt;
+        delete results.paused;
+        delete results.cancelled;
+        job.results = results;
+        
+        const emitProgress = (event, data = {}) => {
+            if (!io || typeof io.broadcastBatchProgress !== 'function') return;
+            
+            io.broadcastBatchProgress({
+                event,
+                jobId: job.id,
+                operation: 'manage',
+                ...results.batch,
+                updated: results.updated,
+                failed: results.failed,
+                skipped: results.skipped,
+                timestamp: new Date().toISOString(),
+                ...data
+            });
+        };
+        
+        emitProgress('job-started');
+        
+        try {
+            for (let i = job.progress.index; i < groupIds.length; i++) {
+                job.progress.index = i;
+                saveJobProgress(job);
+                
+                if (getBatchInterruption()) {
+                    return stopForInterruption(results);
+                }
+                
+                const groupId = groupIds[i];
+                const detail = { groupId };
+                
+                try {
+                    if (promote.length > 0 || demote.length > 0) {
+                        detail.admins = await updateGroupAdmins(groupId, { promote, demote });
+                    }
+                    if (Object.keys(settings).length > 0) {
+                        detail.settings = await updateGroupSettings(groupId, settings);
+                    }
+                    
+                    const settingsFailed = detail.settings && Object.keys(detail.settings.failed).length > 0;
+                    detail.status = settingsFailed ? 'failed' : 'updated';
+                    safetyConfig.consecutiveFailures = 0;
+                } catch (err) {
+                    const classified = classifyAddError(err);
+                    detail.status = 'failed';
+                    detail.reason = classified.message;
+                    detail.errorType = classified.type;
+                    
+                    if (classified.countsAsFailure) {
+                        safetyConfig.consecutiveFailures++;
+                    }
+                    logger.error(`Error managing group ${groupId} (${classified.type}): ${classified.message}`);
+                }
+                
+                results.details.push(detail);
+                results[detail.status]++;
+                results.batch.processed = i + 1;
+                results.batch.remaining = groupIds.length - i - 1;
+                emitProgress('group-processed', { groupId, status: detail.status, reason: detail.reason || null });
+                
+                if (checkCircuitBreaker()) {
+                    return Object.assign(results, {
+                        success: false,
+                        resumable: true,
+                        message: 'Operation paused due to too many consecutive failures. Will resume automatically after cooldown period.'
+                    });
+                }
+                
+                if (i < groupIds.length - 1) {
+                    await interruptibleDelay(getSmartDelay());
+                }
+            }
+            
+            job.progress.index = groupIds.length;
+            logger.success(`Group changes completed. Updated: ${results.updated}, Failed: ${results.failed}`);
+            
+            return results;
+        } finally {
+            safetyConfig.isAddingMembers = false;
+            safetyConfig.userStatus = safetyConfig.batchPaused ? 'paused' : 'ready';
+            saveSessionStats();
+            
+            emitProgress('job-finished', {
+                success: results.success,
+                paused: Boolean(results.paused),
+                cancelled: Boolean(results.cancelled),
+                message: results.message || null
+            });
+        }
+    }
+
+    /**
+     * Build a lookup of member phone numbers from a participant list
+     * @param {Array<Object>} participants - Group participants
+     * @returns {Set<string>} Member numbers as digits
+     */
+    function toMemberSet(participants) {
+        return new Set(participants.map(p => p.id.user || p.id._serialized.replace(/@.*$/, '')));
+    }
+
     /**
      * Checks if invitation link format is valid
      * @param {string} input - The potential WhatsApp invitation link
@@ -361,6 +993,36 @@ function setupWhatsAppClient(io) {
         return null; // Not a valid invite link or couldn't extract code
     }
 
+    /**
+     * Run a WhatsApp call, retrying only errors the classifier marks as retryable
+     * @param {Function} operation - Async function to run
+     * @param {string} description - What is being done, for logging
+     * @param {number} maxRetries - Maximum number of attempts
+     * @returns {Promise<*>} Result of the operation
+     */
+    async function withRetries(operation, description, maxRetries = 3) {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await operation();
+            } catch (err) {
+                const classified = classifyAddError(err);
+                logger.error(`Error ${description} (attempt ${attempt}/${maxRetries}, ${classified.type}): ${err.message}`);
+                
+                if (!classified.retryable || attempt >= maxRetries) {
+                    throw err;
+                }
+                
+                // A lost page context needs longer to recover than other errors
+                if (classified.type === ADD_ERROR_TYPES.SESSION_LOST) {
+                    logger.warn('Detected lost browser session, waiting longer before retry...');
+                    await new Promise(resolve => setTimeout(resolve, 5000));
+                } else {
+                    await new Promise(resolve => setTimeout(resolve, 2000));
+                }
+            }
+        }
+    }
+
     /**
      * Save a contact then add to group (mimic manual behavior)
      * @param {string} number - Phone number to add
@@ -371,131 +1033,676 @@ function setupWhatsAppClient(io) {
         // Get the formatted number
         const validation = validatePhoneNumber(number);
         if (!validation.isValid) {
-            throw new Error(validation.reason);
+            throw createAddError(ADD_ERROR_TYPES.INVALID_NUMBER, validation.reason);
         }
         
         const formattedNumber = validation.formatted;
         
         // Check if user exists on WhatsApp
-        let contactExists = false;
-        let retries = 0;
-        const maxRetries = 3;
+        const contactExists = await withRetries(
+            () => client.isRegisteredUser(formattedNumber),
+            'checking if user exists'
+        );
         
-        while (retries < maxRetries) {
-            try {
-                contactExists = await client.isRegisteredUser(formattedNumber);
-                break; // If successful, exit the retry loop
-            } catch (err) {
-                retries++;
-                logger.error(`Error checking if user exists (attempt ${retries}/${maxRetries}): ${err.message}`);
-                
-                // If it's an execution context error, we need to wait longer
-                if (err.message && err.message.includes('Execution context was destroyed')) {
-                    logger.warning('Detected execution context error, waiting longer before retry...');
-                    await new Promise(resolve => setTimeout(resolve, 5000)); // Wait 5 seconds before retry
-                } else {
-                    // For other errors, wait less time
-                    await new Promise(resolve => setTimeout(resolve, 2000));
-                }
+        if (!contactExists) {
+            throw createAddError(ADD_ERROR_TYPES.NOT_REGISTERED, 'Number not registered on WhatsApp');
+        }
+        
+        // STEP 1: Save the contact first
+        logger.info(`Step 1/2: Saving contact ${number} to device contacts...`);
+        
+        // Get contact info from WhatsApp, continuing with minimal info if it can't be retrieved
+        let contact = null;
+        try {
+            contact = await withRetries(() => client.getContactById(formattedNumber), 'retrieving contact');
+        } catch (err) {
+            logger.warn('Using minimal contact info after failed retrieval attempts');
+        }
+        
+        // You can customize the contact name format
+        const contactName = (contact && contact.pushname) || `WhatsApp User ${number.slice(-4)}`;
+        
+        // Log the contact save action (mimicking the actual save)
+        logger.success(`Contact "${contactName}" (${number}) saved successfully`);
+        
+        // Add a human-like delay between saving and adding (0.5 to 2 seconds)
+        const humanDelay = 500 + Math.floor(Math.random() * 1500);
+        await new Promise(resolve => setTimeout(resolve, humanDelay));
+        
+        // STEP 2: Now add the saved contact to the group with retry mechanism
+        logger.info(`Step 2/2: Adding saved contact ${number} to group ${groupId}...`);
+        
+        await withRetries(async () => {
+            // Invites are sent by our own fallback, not automatically by the library
+            const addResult = await client.addParticipants(groupId, [formattedNumber], { autoSendInviteV4: false });
+            checkAddParticipantsResult(addResult, formattedNumber);
+        }, 'adding contact to group');
+        
+        logger.success(`Successfully added ${number} to group`);
+        return true;
+    }
+
+    /**
+     * Turn a per-participant rejection from addParticipants into an error
+     * @param {Object|string} addResult - Result returned by addParticipants
+     * @param {string} formattedNumber - Participant ID that was added
+     * @throws {Error} When WhatsApp did not add the participant
+     */
+    function checkAddParticipantsResult(addResult, formattedNumber) {
+        if (typeof addResult === 'string') {
+            throw new Error(addResult);
+        }
+        
+        const participantResult = addResult && addResult[formattedNumber];
+        if (!participantResult || participantResult.code === 200) {
+            return;
+        }
+        
+        const err = new Error(participantResult.code === 403
+            ? 'Privacy settings prevent adding this number (403)'
+            : `${participantResult.message || 'Participant was not added'} (${participantResult.code})`);
+        err.addStatusCode = participantResult.code;
+        throw err;
+    }
+
+    /**
+     * Add members to a WhatsApp group with safety measures
+     * @param {string} groupId - The WhatsApp group ID 
+     * @param {Array<string>} numbers - Array of phone numbers to add
+     * @param {string} message - Optional welcome message
+     * @param {Object} job - Optional queue job tracking progress and results
+     * @returns {Promise<Object>} Result of addition operation
+     */
+    async function addMembersToGroup(groupId, numbers, message = '', job = null) {
+        const safetyConfig = getSessionStats();
+        
+        if (safetyConfig.isAddingMembers) {
+            return { success: false, message: 'Already adding members to a group' };
+        }
+        
+        // Reset counter if it's a new day
+        if (safetyConfig.lastDateReset !== new Date().toDateString()) {
+            safetyConfig.addedToday = 0;
+            safetyConfig.hourlyAdditionCounts = new Array(24).fill(0);
+            safetyConfig.lastDateReset = new Date().toDateString();
+            saveSessionStats();
+        }
+        
+        // Check if circuit breaker is tripped
+        if (checkCircuitBreaker()) {
+            const resetTime = new Date(safetyConfig.circuitBreakerResetTime);
+            const waitMins = Math.ceil((resetTime - new Date()) / (60 * 1000));
+            
+            return { 
+                success: false, 
+                resumable: true,
+                retryAt: resetTime.toISOString(),
+                message: `Protection mode active due to too many failures. Please wait ${waitMins} minutes.` 
+            };
+        }
+        
+        // Check if hourly limit reached
+        if (checkHourlyLimit()) {
+            return { 
+                success: false, 
+                resumable: true,
+                retryAt: getLimitResetTime('hourly').toISOString(),
+                message: `Hourly limit of ${safetyConfig.hourlyLimit} members reached. Please try again later.` 
+            };
+        }
+        
+        // Check if daily limit reached
+        const remainingToday = safetyConfig.dailyLimit - safetyConfig.addedToday;
+        if (remainingToday <= 0) {
+            return { 
+                success: false, 
+                resumable: true,
+                retryAt: getLimitResetTime('daily').toISOString(),
+                message: `Daily limit of ${safetyConfig.dailyLimit} members reached. Try again tomorrow.` 
+            };
+        }
+        
+        // Verify group ID
+        logger.info(`Attempting to verify group ID: ${groupId}`);
+        
+        // Create a modified groupId that the WhatsApp Web.js library might better handle
+        // The library might be expecting IDs only in the old format with hyphen
+        let modifiedGroupId = groupId;
+        
+        // Current members, fetched once so they can be skipped without spending quota
+        let existingMembers = new Set();
+        let groupName = '';
+        let groupChat = null;
+        
+        // If it's the newer format without hyphen, try a workaround
+        if (/^\d+@g\.us$/.test(groupId)) {
+            logger.info(`Detected newer WhatsApp group ID format: ${groupId}`);
+            
+            // Skip verification step for newer format since the WhatsApp Web.js library
+            // might not properly support it yet
+            logger.info(`Using direct API calls for newer group ID format`);
+            
+            // Instead of strict verification, we'll check participation in upcoming operations
+            try {
+                // We'll attempt a lightweight operation to see if the group exists
+                // This is just to confirm we can interact with the group
+                const chat = await getGroupChat(groupId);
+                const participants = chat.participants || [];
+                existingMembers = toMemberSet(participants);
+                groupName = chat.name || '';
+                groupChat = chat;
+                logger.success(`Group exists with ${participants.length} participants`);
+            } catch (participantsErr) {
+                logger.error(`Failed to get participants for group ID ${groupId}: ${participantsErr.message}`);
+                safetyConfig.consecutiveFailures++;
                 
-                // If we've exhausted retries, throw the error
-                if (retries >= maxRetries) {
-                    throw new Error(`Failed to check if number is registered after ${maxRetries} attempts: ${err.message}`);
+                // Even though verification failed, we'll proceed anyway since the ID format is valid
+                // This allows working with newer group IDs even if verification mechanisms are outdated
+                logger.warn(`Proceeding with group operations despite verification failure`);
+            }
+        } else {
+            // For traditional hyphenated group IDs, use the standard verification
+            try {
+                const chat = await client.getChatById(groupId);
+                if (!chat.isGroup) {
+                    return { success: false, message: 'Provided ID is not a group' };
                 }
+                existingMembers = toMemberSet(chat.participants || []);
+                groupName = chat.name || '';
+                groupChat = chat;
+                logger.success(`Successfully verified traditional group ID: ${groupId}`);
+            } catch (err) {
+                safetyConfig.consecutiveFailures++;
+                logger.error(`Failed to verify group ID ${groupId}: ${err.message}`);
+                return { success: false, message: 'Invalid group ID or group not found' };
             }
         }
         
-        if (!contactExists) {
-            throw new Error('Number not registered on WhatsApp');
+        // Make sure we can add anyone at all, and find out how many more people fit
+        let remainingCapacity = Infinity;
+        if (groupChat) {
+            const readiness = getGroupReadiness(groupId, groupChat, { numbers });
+            
+            if (readiness.isAdmin === false) {
+                logger.error(`Connected account is not an admin of group ${groupId}`);
+                return {
+                    success: false,
+                    errorType: ADD_ERROR_TYPES.NOT_ADMIN,
+                    message: 'The connected account is not an admin of this group, so it cannot add members.'
+                };
+            }
+            
+            if (readiness.overflow > 0) {
+                if (job && job.onGroupFull === 'fail') {
+                    return {
+                        success: false,
+                        errorType: ADD_ERROR_TYPES.GROUP_FULL,
+                        message: `Group has room for ${readiness.remainingCapacity} more members but ${readiness.toAdd} need adding.`
+                    };
+                }
+                logger.warn(`Group ${groupId} has room for ${readiness.remainingCapacity} more members; the last ${readiness.overflow} numbers will be skipped`);
+            }
+            
+            remainingCapacity = readiness.remainingCapacity;
         }
         
-        try {
-            // STEP 1: Save the contact first
-            logger.info(`Step 1/2: Saving contact ${number} to device contacts...`);
+        safetyConfig.isAddingMembers = true;
+        safetyConfig.userStatus = 'adding';
+        
+        // Initialize results object, continuing from earlier results when a job is resumed
+        const results = (job && job.results) ? job.results : {
+            success: true,
+            added: 0,
+            failed: 0,
+            skipped: 0,
+            alreadyMember: 0,
+            invited: 0,
+            groupFull: 0,
+            failuresByType: {},
+            details: [],
+            batch: {
+                total: numbers.length,
+                processed: 0,
+                remaining: numbers.length,
+                estimatedCompletion: null
+            }
+        };
+        results.success = true;
+        results.alreadyMember = results.alreadyMember || 0;
+        results.pendingWelcome = results.pendingWelcome || [];
+        results.invited = results.invited || 0;
+        results.groupFull = results.groupFull || 0;
+        results.failuresByType = results.failuresByType || {};
+        delete results.message;
+        delete results.resumable;
+        delete results.retryAt;
+        delete results.paused;
+        delete results.cancelled;
+        delete results.errorType;
+        
+        if (job) {
+            job.results = results;
+            // Remember the group name for the job history
+            if (groupName) job.groupName = groupName;
+        }
+        
+        // Broadcast progress for this batch, reusing the fields already tracked in results.batch
+        const emitProgress = (event, data = {}) => {
+            if (!io || typeof io.broadcastBatchProgress !== 'function') return;
             
-            // Get contact info from WhatsApp with retry mechanism
-            let contact = null;
-            retries = 0;
+            io.broadcastBatchProgress({
+                event,
+                jobId: job ? job.id : null,
+                groupId,
+                ...results.batch,
+                added: results.added,
+                failed: results.failed,
+                skipped: results.skipped,
+                alreadyMember: results.alreadyMember,
+                invited: results.invited,
+                groupFull: results.groupFull,
+                timestamp: new Date().toISOString(),
+                ...data
+            });
+        };
+        
+        // Imported details (name and extra columns) for a number, if the job has them
+        const getContact = (index) => {
+            if (!job || !job.contacts) return null;
+            return job.contacts[toNumberKey(numbers[index], safetyConfig.defaultRegion)] || null;
+        };
+        
+        // Record the outcome for one number and let clients know about it
+        const recordOutcome = (index, status, reason, category = null, extra = {}) => {
+            const detail = { number: numbers[index], status, reason, ...extra };
+            const contact = getContact(index);
+            if (category) detail.category = category;
+            if (contact) detail.contact = contact;
             
-            while (retries < maxRetries) {
-                try {
-                    contact = await client.getContactById(formattedNumber);
-                    break; // If successful, exit the retry loop
-                } catch (err) {
-                    retries++;
-                    logger.error(`Error retrieving contact (attempt ${retries}/${maxRetries}): ${err.message}`);
-                    
-                    // If it's an execution context error, wait longer
-                    if (err.message && err.message.includes('Execution context was destroyed')) {
-                        logger.warning('Detected execution context error, waiting longer before retry...');
-                        await new Promise(resolve => setTimeout(resolve, 5000));
-                    } else {
-                        await new Promise(resolve => setTimeout(resolve, 2000));
-                    }
-                    
-                    // If we've exhausted retries, continue with minimal info
-                    if (retries >= maxRetries) {
-                        logger.warning('Using minimal contact info after failed retrieval attempts');
-                        break;
-                    }
+            results.details.push(detail);
+            results[status]++;
+            if (category) {
+                results[category]++;
+            }
+            if (extra.errorType) {
+                results.failuresByType[extra.errorType] = (results.failuresByType[extra.errorType] || 0) + 1;
+            }
+            results.batch.processed = index + 1;
+            results.batch.remaining = numbers.length - index - 1;
+            
+            emitProgress('number-processed', { number: numbers[index], status, reason, category });
+        };
+        
+        // Welcome options: batchSize 0 sends one welcome after the whole job
+        const welcome = (job && job.welcome) || { batchSize: 0, mention: false };
+        
+        // Template values for one number
+        const getMember = (index) => {
+            const number = validatePhoneNumber(numbers[index]).formatted.replace('@c.us', '');
+            const contact = getContact(index) || {};
+            return { number, name: contact.name || `+${number}`, country: contact.country, fields: contact.fields };
+        };
+        
+        // Send the welcome message for the members added since the last one
+        const sendWelcome = async () => {
+            const members = results.pendingWelcome.map(getMember);
+            results.pendingWelcome = [];
+            
+            let text = renderTemplate(message, { groupName }, members);
+            const options = {};
+            if (welcome.mention) {
+                if (!/{{\s*mentions\s*}}/.test(message)) {
+                    text = `${text}\n${members.map(member => `@${member.number}`).join(' ')}`;
                 }
+                options.mentions = members.map(member => `${member.number}@c.us`);
             }
             
-            // You can customize the contact name format
-            const contactName = (contact && contact.pushname) || `WhatsApp User ${number.slice(-4)}`;
+            try {
+                await client.sendMessage(groupId, text, options);
+                logger.info(`Sent welcome message for ${members.length} new members to group ${groupId}`);
+            } catch (err) {
+                logger.error(`Error sending greeting message: ${err.message}`);
+            }
+        };
+        
+        // Private invite fallback for numbers whose privacy settings block adding
+        const invite = {
+            enabled: job && job.invite ? job.invite.enabled : safetyConfig.inviteFallback,
+            template: (job && job.invite && job.invite.template) || safetyConfig.inviteTemplate
+        };
+        let inviteLink = null;
+        
+        // Send the group invite link to one number, counting it against the hourly limit
+        const sendPrivateInvite = async (index) => {
+            // Same as for additions: wait for the next hour rather than fail the number
+            if (checkHourlyLimit() && await waitForNextHour()) {
+                return { sent: false, interrupted: true };
+            }
             
-            // Log the contact save action (mimicking the actual save)
-            logger.success(`Contact "${contactName}" (${number}) saved successfully`);
+            try {
+                if (!inviteLink) {
+                    const chat = await getGroupChat(groupId);
+                    inviteLink = `https://chat.whatsapp.com/${await chat.getInviteCode()}`;
+                }
+                
+                const member = getMember(index);
+                const text = renderTemplate(invite.template, { groupName, inviteLink }, [member]);
+                await client.sendMessage(`${member.number}@c.us`, text);
+                updateHourlyCount();
+                
+                logger.info(`Sent private invite link to ${numbers[index]}`);
+                return { sent: true };
+            } catch (err) {
+                logger.error(`Error sending invite link to ${numbers[index]}: ${err.message}`);
+                return { sent: false, reason: err.message };
+            }
+        };
+        
+        // Wait between operations, announcing when the wait ends
+        const waitWithProgress = (ms, reason) => {
+            emitProgress('wait-started', {
+                reason,
+                durationSeconds: Math.round(ms / 1000),
+                endsAt: new Date(Date.now() + ms).toISOString()
+            });
             
-            // Add a human-like delay between saving and adding (0.5 to 2 seconds)
-            const humanDelay = 500 + Math.floor(Math.random() * 1500);
-            await new Promise(resolve => setTimeout(resolve, humanDelay));
+            return interruptibleDelay(ms);
+        };
+        
+        // Wait until the hourly limit lifts; resolves true if the batch was paused or cancelled meanwhile
+        const waitForNextHour = async () => {
+            const now = new Date();
+            const nextHour = getLimitResetTime('hourly');
+            const waitTime = nextHour - now;
+            if (waitTime <= 0) return false;
             
-            // STEP 2: Now add the saved contact to the group with retry mechanism
-            logger.info(`Step 2/2: Adding saved contact ${number} to group ${groupId}...`);
+            logger.warn(`Hourly limit reached. Pausing for ${Math.ceil(waitTime/60000)} minutes until ${nextHour.toTimeString()}`);
+            if (await waitWithProgress(waitTime, 'hourly-limit')) return true;
             
-            retries = 0;
-            while (retries < maxRetries) {
+            // Reset the hourly counter for the new hour
+            safetyConfig.hourlyAdditionCounts[new Date().getHours()] = 0;
+            return false;
+        };
+        
+        // Use existing batch data if resuming
+        if (job) {
+            logger.info(`Running job ${job.id} from index ${job.progress.index}`);
+            safetyConfig.currentBatch = numbers;
+            safetyConfig.currentBatchIndex = job.progress.index;
+        } else if (safetyConfig.currentBatch.length > 0 && safetyConfig.lastGroupId === groupId) {
+            logger.info(`Resuming existing batch from index ${safetyConfig.currentBatchIndex}`);
+            safetyConfig.currentBatch = numbers;
+        } else {
+            safetyConfig.currentBatch = numbers;
+            safetyConfig.currentBatchIndex = 0;
+        }
+        safetyConfig.lastGroupId = groupId;
+        
+        emitProgress('job-started');
+        
+        try {
+            // Process each number with smart timing
+            for (let i = safetyConfig.currentBatchIndex; i < numbers.length; i++) {
+                safetyConfig.currentBatchIndex = i;
+                saveSessionStats(); // Save progress after each update
+                
+                if (job) {
+                    job.progress.index = i;
+                    saveJobProgress(job);
+                }
+                
+                // Update batch processing stats
+                results.batch.processed = i;
+                results.batch.remaining = numbers.length - i;
+                
+                // Honour pause and cancel requests between numbers
+                if (getBatchInterruption()) {
+                    return stopForInterruption(results);
+                }
+                
+                // Calculate estimated completion time based on current average delay
+                const avgDelaySeconds = ((safetyConfig.minDelay + safetyConfig.maxDelay) / 2) * 1.2; // 20% buffer
+                const estimatedRemainingSeconds = results.batch.remaining * avgDelaySeconds;
+                const estimatedCompletion = new Date();
+                estimatedCompletion.setSeconds(estimatedCompletion.getSeconds() + estimatedRemainingSeconds);
+                results.batch.estimatedCompletion = estimatedCompletion.toISOString();
+                
+                // Never add people who asked not to be added
+                if (isSuppressed(numbers[i])) {
+                    recordOutcome(i, 'skipped', 'suppressed');
+                    continue;
+                }
+                
+                // Only add people who opted in when consent is required
+                if (safetyConfig.requireConsent && !hasConsent(numbers[i], groupId)) {
+                    recordOutcome(i, 'skipped', 'no consent');
+                    continue;
+                }
+                
+                // Existing members don't need adding and don't count against the limits
+                const validation = validatePhoneNumber(numbers[i]);
+                if (validation.isValid && existingMembers.has(validation.formatted.replace('@c.us', ''))) {
+                    recordOutcome(i, 'skipped', 'already a member', 'alreadyMember');
+                    continue;
+                }
+                
+                // No room left in the group; report the overflow instead of failing every addition
+                if (remainingCapacity <= 0) {
+                    recordOutcome(i, 'skipped', 'group full', 'groupFull');
+                    continue;
+                }
+                
+                // Check if we need a periodic batch cooldown
+                if (i > 0 && i % safetyConfig.maxBatchSize === 0) {
+                    const cooldownTime = safetyConfig.batchCooldown;
+                    logger.info(`Batch cooldown: Pausing for ${cooldownTime} seconds after adding ${safetyConfig.maxBatchSize} members`);
+                    await waitWithProgress(cooldownTime * 1000, 'batch-cooldown');
+                    
+                    if (getBatchInterruption()) {
+                        return stopForInterruption(results);
+                    }
+                }
+                
+                // The daily limit is shared by all jobs; continue with this number once it resets
+                if (safetyConfig.addedToday >= safetyConfig.dailyLimit) {
+                    return stopForLimit(results, job, i, `Daily limit of ${safetyConfig.dailyLimit} members reached. Will resume automatically tomorrow.`, getLimitResetTime('daily'));
+                }
+                
+                // Check if hourly limit reached during processing
+                if (checkHourlyLimit()) {
+                    // Wait until the next hour if we've hit the hourly limit, then try this number again
+                    await waitForNextHour();
+                    i--;
+                    continue;
+                }
+                
                 try {
-                    await client.addParticipants(groupId, [formattedNumber]);
-                    logger.success(`Successfully added ${number} to group`);
-                    return true;
+                    // Use the new two-step process: save contact then add to group
+                    await saveContactThenAdd(numbers[i], groupId);
+                    
+                    // Update counters
+                    safetyConfig.addedToday++;
+                    updateHourlyCount();
+                    recordOutcome(i, 'added', 'Successfully saved contact and added to group');
+                    
+                    // Later duplicates of this number in the list are now members too
+                    if (validation.isValid) {
+                        existingMembers.add(validation.formatted.replace('@c.us', ''));
+                    }
+                    remainingCapacity--;
+                    
+                    // Welcome new members every batchSize additions when batching is enabled
+                    if (message) {
+                        results.pendingWelcome.push(i);
+                        if (welcome.batchSize > 0 && results.pendingWelcome.length >= welcome.batchSize) {
+                            await sendWelcome();
+                        }
+                    }
+                    
+                    // Reset consecutive failures counter on success
+                    safetyConfig.consecutiveFailures = 0;
+                    
+                    // Save updated stats
+                    saveSessionStats();
+                    
+                    // If not the last member, wait for a smart delay
+                    if (i < numbers.length - 1) {
+                        const delay = getSmartDelay();
+                        logger.info(`Waiting ${Math.round(delay/1000)} seconds before processing next contact...`);
+                        await waitWithProgress(delay, 'delay');
+                    }
                 } catch (err) {
-                    retries++;
-                    logger.error(`Error adding contact to group (attempt ${retries}/${maxRetries}): ${err.message}`);
+                    const classified = classifyAddError(err);
+                    let errorMsg = classified.message;
+                    
+                    // Joined since the job started; nothing left to do for this number
+                    if (classified.type === ADD_ERROR_TYPES.ALREADY_MEMBER) {
+                        recordOutcome(i, 'skipped', 'already a member', 'alreadyMember');
+                        continue;
+                    }
                     
-                    // If it's an execution context error, wait longer
-                    if (err.message && err.message.includes('Execution context was destroyed')) {
-                        logger.warning('Detected execution context error, waiting longer before retry...');
-                        await new Promise(resolve => setTimeout(resolve, 5000));
-                    } else {
-                        await new Promise(resolve => setTimeout(resolve, 2000));
+                    // Send the invite link instead when the person's privacy settings block adding
+                    if (invite.enabled && classified.type === ADD_ERROR_TYPES.PRIVACY_RESTRICTED) {
+                        const inviteResult = await sendPrivateInvite(i);
+                        
+                        // Paused or cancelled while waiting for the hourly limit; this number runs again on resume
+                        if (inviteResult.interrupted) {
+                            return stopForInterruption(results);
+                        }
+                        
+                        if (inviteResult.sent) {
+                            recordOutcome(i, 'invited', 'Privacy settings blocked adding; invite link sent privately');
+                            
+                            if (i < numbers.length - 1) {
+                                await waitWithProgress(getSmartDelay(), 'delay');
+                            }
+                            continue;
+                        }
+                        
+                        errorMsg = `${errorMsg}; invite not sent: ${inviteResult.reason}`;
+                    }
+                    
+                    // Only failures that say something about our session or account count towards the circuit breaker
+                    if (classified.countsAsFailure) {
+                        safetyConfig.consecutiveFailures++;
+                    }
+                    
+                    // Get the formatted number for tracking (could be undefined if validation failed)
+                    const formattedNumber = validation.isValid ? validation.formatted : `${numbers[i]}@c.us`;
+                    
+                    // Track this failed number
+                    updateFailedNumber(formattedNumber, errorMsg, classified.type);
+                    
+                    logger.error(`Error processing ${numbers[i]} (${classified.type}): ${errorMsg}`);
+                    recordOutcome(i, 'failed', errorMsg, null, { errorType: classified.type });
+                    
+                    // Not being admin or a full group affects every remaining number, so stop here
+                    if (classified.stopsBatch) {
+                        saveSessionStats();
+                        return Object.assign(results, {
+                            success: false,
+                            errorType: classified.type,
+                            message: `Stopped after ${classified.type} error: ${errorMsg}`
+                        });
+                    }
+                    
+                    // If WhatsApp is rate limiting us, take extra precautions
+                    if (classified.banRisk) {
+                        logger.warn('Detected potential ban-related error. Taking protective measures.');
+                        
+                        // Take a longer break to avoid getting blocked
+                        const extraDelay = 300 + (Math.random() * 300); // 5-10 minute break
+                        logger.warn(`Taking an extended break of ${Math.ceil(extraDelay/60)} minutes for safety`);
+                        await waitWithProgress(extraDelay * 1000, 'ban-protection');
+                        
+                        // If we get multiple ban-related errors, trip the circuit breaker
+                        if (safetyConfig.consecutiveFailures >= 3) {
+                            safetyConfig.circuitBreakerTripped = true;
+                            const resetTime = new Date();
+                            resetTime.setSeconds(resetTime.getSeconds() + safetyConfig.circuitBreakerTimeout);
+                            safetyConfig.circuitBreakerResetTime = resetTime.toISOString();
+                            
+                            logger.warn(`Emergency protection activated due to potential ban risk. Pausing for ${safetyConfig.circuitBreakerTimeout/60} minutes.`);
+                            
+                            // This number already failed, so continue with the next one
+                            return stopForLimit(results, job, i + 1, 'Operation paused due to potential ban risk. Will resume automatically after cooldown period.');
+                        }
                     }
                     
-                    // If we've exhausted retries, throw the error
-                    if (retries >= maxRetries) {
-                        throw err;
+                    if (classified.countsAsFailure) {
+                        // Take a longer break after each failure
+                        const failureDelay = Math.min(60 + (safetyConfig.consecutiveFailures * 30), 300); // 1-5 minutes
+                        logger.info(`Taking a ${failureDelay} second break after failure`);
+                        await waitWithProgress(failureDelay * 1000, 'failure-backoff');
+                    } else if (i < numbers.length - 1) {
+                        // Problems with this number only; keep the normal pace
+                        await waitWithProgress(getSmartDelay(), 'delay');
                     }
                 }
+                
+                // Check if circuit breaker tripped during processing
+                if (checkCircuitBreaker()) {
+                    return stopForLimit(results, job, i + 1, 'Operation paused due to too many consecutive failures. Will resume automatically after cooldown period.');
+                }
             }
+            
+            // Welcome the members not covered by a batched welcome yet
+            if (message && results.pendingWelcome.length > 0) {
+                await sendWelcome();
+            }
+            
+            // Clean up batch data after successful completion
+            if (safetyConfig.currentBatch.length > 0 && safetyConfig.currentBatchIndex >= safetyConfig.currentBatch.length - 1) {
+                clearBatchData();
+            }
+            
+            if (job) {
+                job.progress.index = numbers.length;
+            }
+            
+            // Log completion
+            logger.success(`Batch processing completed. Added: ${results.added}, Invited: ${results.invited}, Failed: ${results.failed}, Skipped: ${results.skipped} (already members: ${results.alreadyMember})`);
+            
+            return results;
         } catch (err) {
-            // Forward the error to be handled by the caller
-            throw err;
+            logger.error(`Unexpected error in batch processing: ${err.message}`);
+            if (err.stack) {
+                logger.error(`Stack trace: ${err.stack}`);
+            }
+            
+            return Object.assign(results, {
+                success: false,
+                message: `Unexpected error: ${err.message}. Current progress saved for later resumption.`
+            });
+        } finally {
+            safetyConfig.isAddingMembers = false;
+            safetyConfig.userStatus = safetyConfig.batchPaused ? 'paused' : 'ready';
+            saveSessionStats();
+            
+            emitProgress('job-finished', {
+                success: results.success,
+                paused: Boolean(results.paused),
+                cancelled: Boolean(results.cancelled),
+                message: results.message || null
+            });
         }
     }
 
-    /**
-     * Add members to a WhatsApp group with safety measures
-     * @param {string} groupId - The WhatsApp group ID 
-     * @param {Array<string>} numbers - Array of phone numbers to add
-     * @param {string} message - Optional welcome message
-     * @returns {Promise<Object>} Result of addition operation
+    /**
+     * Remove members from a WhatsApp group with the same pacing, limits and protection as additions
+     * Removals count against the hourly and daily limits, and admins are only removed when the
+     * job explicitly allows it.
+     * @param {string} groupId - The WhatsApp group ID
+     * @param {Array<string>} numbers - Array of phone numbers to remove
+     * @param {Object} job - Optional queue job tracking progress, results and removeAdmins
+     * @returns {Promise<Object>} Result of removal operation
      */
-    async function addMembersToGroup(groupId, numbers, message = '') {
+    async function removeMembersFromGroup(groupId, numbers, job = null) {
         const safetyConfig = getSessionStats();
+        const removeAdmins = Boolean(job && job.removeAdmins);
         
         if (safetyConfig.isAddingMembers) {
-            return { success: false, message: 'Already adding members to a group' };
+            return { success: false, message: 'Already processing a batch for a group' };
         }
         
         // Reset counter if it's a new day
@@ -506,87 +1713,71 @@ function setupWhatsAppClient(io) {
             saveSessionStats();
         }
         
-        // Check if circuit breaker is tripped
         if (checkCircuitBreaker()) {
             const resetTime = new Date(safetyConfig.circuitBreakerResetTime);
             const waitMins = Math.ceil((resetTime - new Date()) / (60 * 1000));
             
             return { 
                 success: false, 
+                resumable: true,
+                retryAt: resetTime.toISOString(),
                 message: `Protection mode active due to too many failures. Please wait ${waitMins} minutes.` 
             };
         }
         
-        // Check if hourly limit reached
         if (checkHourlyLimit()) {
             return { 
                 success: false, 
-                message: `Hourly limit of ${safetyConfig.hourlyLimit} members reached. Please try again later.` 
+                resumable: true,
+                retryAt: getLimitResetTime('hourly').toISOString(),
+                message: `Hourly limit of ${safetyConfig.hourlyLimit} operations reached. Please try again later.` 
             };
         }
         
-        // Check if daily limit reached
-        const remainingToday = safetyConfig.dailyLimit - safetyConfig.addedToday;
-        if (remainingToday <= 0) {
+        if (safetyConfig.addedToday >= safetyConfig.dailyLimit) {
             return { 
                 success: false, 
-                message: `Daily limit of ${safetyConfig.dailyLimit} members reached. Try again tomorrow.` 
+                resumable: true,
+                retryAt: getLimitResetTime('daily').toISOString(),
+                message: `Daily limit of ${safetyConfig.dailyLimit} operations reached. Try again tomorrow.` 
             };
         }
         
-        // Verify group ID
-        logger.info(`Attempting to verify group ID: ${groupId}`);
-        
-        // Create a modified groupId that the WhatsApp Web.js library might better handle
-        // The library might be expecting IDs only in the old format with hyphen
-        let modifiedGroupId = groupId;
+        // Unlike additions, removals need the participant list to know who is a member and who is an admin
+        let groupChat;
+        try {
+            groupChat = await getGroupChat(groupId);
+        } catch (err) {
+            safetyConfig.consecutiveFailures++;
+            logger.error(`Failed to verify group ID ${groupId}: ${err.message}`);
+            return { success: false, message: 'Invalid group ID or group not found' };
+        }
         
-        // If it's the newer format without hyphen, try a workaround
-        if (/^\d+@g\.us$/.test(groupId)) {
-            logger.info(`Detected newer WhatsApp group ID format: ${groupId}`);
-            
-            // Skip verification step for newer format since the WhatsApp Web.js library
-            // might not properly support it yet
-            logger.info(`Using direct API calls for newer group ID format`);
-            
-            // Instead of strict verification, we'll check participation in upcoming operations
-            try {
-                // We'll attempt a lightweight operation to see if the group exists
-                // This is just to confirm we can interact with the group
-                const participants = await client.getParticipants(groupId);
-                logger.success(`Group exists with ${participants.length} participants`);
-            } catch (participantsErr) {
-                logger.error(`Failed to get participants for group ID ${groupId}: ${participantsErr.message}`);
-                safetyConfig.consecutiveFailures++;
-                
-                // Even though verification failed, we'll proceed anyway since the ID format is valid
-                // This allows working with newer group IDs even if verification mechanisms are outdated
-                logger.warning(`Proceeding with group operations despite verification failure`);
-            }
-        } else {
-            // For traditional hyphenated group IDs, use the standard verification
-            try {
-                const chat = await client.getChatById(groupId);
-                if (!chat.isGroup) {
-                    return { success: false, message: 'Provided ID is not a group' };
-                }
-                logger.success(`Successfully verified traditional group ID: ${groupId}`);
-            } catch (err) {
-                safetyConfig.consecutiveFailures++;
-                logger.error(`Failed to verify group ID ${groupId}: ${err.message}`);
-                return { success: false, message: 'Invalid group ID or group not found' };
-            }
+        const participants = groupChat.participants || [];
+        if (isAdminOf(participants) === false) {
+            logger.error(`Connected account is not an admin of group ${groupId}`);
+            return {
+                success: false,
+                errorType: ADD_ERROR_TYPES.NOT_ADMIN,
+                message: 'The connected account is not an admin of this group, so it cannot remove members.'
+            };
         }
         
+        const members = new Map(participants.map(describeParticipant).map(member => [member.number, member]));
+        const myId = client.info && client.info.wid ? client.info.wid._serialized : null;
+        
         safetyConfig.isAddingMembers = true;
-        safetyConfig.userStatus = 'adding';
+        safetyConfig.userStatus = 'removing';
         
-        // Initialize results object
-        const results = {
+        // Initialize results object, continuing from earlier results when a job is resumed
+        const results = (job && job.results) ? job.results : {
             success: true,
-            added: 0,
+            removed: 0,
             failed: 0,
             skipped: 0,
+            notMember: 0,
+            adminProtected: 0,
+            failuresByType: {},
             details: [],
             batch: {
                 total: numbers.length,
@@ -595,223 +1786,324 @@ function setupWhatsAppClient(io) {
                 estimatedCompletion: null
             }
         };
+        results.success = true;
+        delete results.message;
+        delete results.resumable;
+        delete results.retryAt;
+        delete results.paused;
+        delete results.cancelled;
+        delete results.errorType;
+        
+        if (job) {
+            job.results = results;
+            // Remember the group name for the job history
+            if (groupChat.name) job.groupName = groupChat.name;
+        }
+        
+        const emitProgress = (event, data = {}) => {
+            if (!io || typeof io.broadcastBatchProgress !== 'function') return;
+            
+            io.broadcastBatchProgress({
+                event,
+                jobId: job ? job.id : null,
+                groupId,
+                operation: 'remove',
+                ...results.batch,
+                removed: results.removed,
+                failed: results.failed,
+                skipped: results.skipped,
+                timestamp: new Date().toISOString(),
+                ...data
+            });
+        };
+        
+        const recordOutcome = (index, status, reason, category = null, extra = {}) => {
+            const detail = { number: numbers[index], status, reason, ...extra };
+            if (category) detail.category = category;
+            
+            results.details.push(detail);
+            results[status]++;
+            if (category) {
+                results[category]++;
+            }
+            if (extra.errorType) {
+                results.failuresByType[extra.errorType] = (results.failuresByType[extra.errorType] || 0) + 1;
+            }
+            results.batch.processed = index + 1;
+            results.batch.remaining = numbers.length - index - 1;
+            
+            emitProgress('number-processed', { number: numbers[index], status, reason, category });
+        };
+        
+        const waitWithProgress = (ms, reason) => {
+            emitProgress('wait-started', {
+                reason,
+                durationSeconds: Math.round(ms / 1000),
+                endsAt: new Date(Date.now() + ms).toISOString()
+            });
+            
+            return interruptibleDelay(ms);
+        };
         
         // Use existing batch data if resuming
-        if (safetyConfig.currentBatch.length > 0 && safetyConfig.lastGroupId === groupId) {
-            logger.info(`Resuming existing batch from index ${safetyConfig.currentBatchIndex}`);
+        if (job) {
+            logger.info(`Running removal job ${job.id} from index ${job.progress.index}`);
             safetyConfig.currentBatch = numbers;
+            safetyConfig.currentBatchIndex = job.progress.index;
         } else {
             safetyConfig.currentBatch = numbers;
             safetyConfig.currentBatchIndex = 0;
         }
+        safetyConfig.lastGroupId = groupId;
+        
+        emitProgress('job-started');
         
         try {
-            // Process each number with smart timing
             for (let i = safetyConfig.currentBatchIndex; i < numbers.length; i++) {
                 safetyConfig.currentBatchIndex = i;
-                saveSessionStats(); // Save progress after each update
+                saveSessionStats();
+                
+                if (job) {
+                    job.progress.index = i;
+                    saveJobProgress(job);
+                }
                 
-                // Update batch processing stats
                 results.batch.processed = i;
                 results.batch.remaining = numbers.length - i;
                 
-                // Calculate estimated completion time based on current average delay
-                const avgDelaySeconds = ((safetyConfig.minDelay + safetyConfig.maxDelay) / 2) * 1.2; // 20% buffer
-                const estimatedRemainingSeconds = results.batch.remaining * avgDelaySeconds;
-                const estimatedCompletion = new Date();
-                estimatedCompletion.setSeconds(estimatedCompletion.getSeconds() + estimatedRemainingSeconds);
-                results.batch.estimatedCompletion = estimatedCompletion.toISOString();
+                if (getBatchInterruption()) {
+                    return stopForInterruption(results);
+                }
+                
+                const validation = validatePhoneNumber(numbers[i]);
+                if (!validation.isValid) {
+                    recordOutcome(i, 'failed', validation.reason, null, { errorType: ADD_ERROR_TYPES.INVALID_NUMBER });
+                    continue;
+                }
+                
+                // People who already left don't need removing and don't count against the limits
+                const member = members.get(validation.formatted.replace('@c.us', ''));
+                if (!member) {
+                    recordOutcome(i, 'skipped', 'not a member', 'notMember');
+                    continue;
+                }
+                
+                if (member.id === myId) {
+                    recordOutcome(i, 'skipped', 'connected account', 'adminProtected');
+                    continue;
+                }
+                
+                if (member.isAdmin && !removeAdmins) {
+                    recordOutcome(i, 'skipped', 'admin (set removeAdmins to remove admins)', 'adminProtected');
+                    continue;
+                }
                 
-                // Check if we need a periodic batch cooldown
                 if (i > 0 && i % safetyConfig.maxBatchSize === 0) {
                     const cooldownTime = safetyConfig.batchCooldown;
-                    logger.info(`Batch cooldown: Pausing for ${cooldownTime} seconds after adding ${safetyConfig.maxBatchSize} members`);
-                    await new Promise(resolve => setTimeout(resolve, cooldownTime * 1000));
+                    logger.info(`Batch cooldown: Pausing for ${cooldownTime} seconds after removing ${safetyConfig.maxBatchSize} members`);
+                    await waitWithProgress(cooldownTime * 1000, 'batch-cooldown');
+                    
+                    if (getBatchInterruption()) {
+                        return stopForInterruption(results);
+                    }
                 }
                 
-                // Check if daily limit reached during processing
+                // The daily limit is shared by all jobs; continue with this number once it resets
                 if (safetyConfig.addedToday >= safetyConfig.dailyLimit) {
-                    results.details.push({
-                        number: numbers[i],
-                        status: 'skipped',
-                        reason: 'Daily limit reached'
-                    });
-                    results.skipped++;
-                    continue;
+                    return stopForLimit(results, job, i, `Daily limit of ${safetyConfig.dailyLimit} members reached. Will resume automatically tomorrow.`, getLimitResetTime('daily'));
                 }
                 
-                // Check if hourly limit reached during processing
+                // Wait for the next hour instead of skipping everyone once the hourly limit is reached
                 if (checkHourlyLimit()) {
-                    results.details.push({
-                        number: numbers[i],
-                        status: 'skipped',
-                        reason: 'Hourly limit reached'
-                    });
-                    results.skipped++;
-                    
-                    // Wait until the next hour if we've hit the hourly limit
                     const now = new Date();
                     const nextHour = new Date(now);
-                    nextHour.setHours(now.getHours() + 1);
-                    nextHour.setMinutes(0);
-                    nextHour.setSeconds(5); // 5 seconds buffer
+                    nextHour.setHours(now.getHours() + 1, 0, 5, 0);
                     
-                    const waitTime = nextHour - now;
-                    if (waitTime > 0) {
-                        logger.warning(`Hourly limit reached. Pausing for ${Math.ceil(waitTime/60000)} minutes until ${nextHour.toTimeString()}`);
-                        await new Promise(resolve => setTimeout(resolve, waitTime));
-                        
-                        // Reset the hourly counter for the new hour
-                        const newHour = new Date().getHours();
-                        safetyConfig.hourlyAdditionCounts[newHour] = 0;
+                    logger.warn(`Hourly limit reached. Pausing for ${Math.ceil((nextHour - now)/60000)} minutes until ${nextHour.toTimeString()}`);
+                    await waitWithProgress(nextHour - now, 'hourly-limit');
+                    
+                    if (getBatchInterruption()) {
+                        return stopForInterruption(results);
                     }
-                    continue;
                 }
                 
                 try {
-                    // Use the new two-step process: save contact then add to group
-                    await saveContactThenAdd(numbers[i], groupId);
+                    await withRetries(() => groupChat.removeParticipants([member.id]), 'removing participant from group');
                     
-                    // Update counters
                     safetyConfig.addedToday++;
                     updateHourlyCount();
-                    results.added++;
-                    results.details.push({
-                        number: numbers[i],
-                        status: 'added',
-                        reason: 'Successfully saved contact and added to group'
-                    });
+                    recordOutcome(i, 'removed', 'Removed from group');
+                    members.delete(member.number);
                     
-                    // Reset consecutive failures counter on success
                     safetyConfig.consecutiveFailures = 0;
-                    
-                    // Save updated stats
                     saveSessionStats();
                     
-                    // If not the last member, wait for a smart delay
+                    logger.success(`Removed ${numbers[i]} from group ${groupId}`);
+                    
                     if (i < numbers.length - 1) {
-                        const delay = getSmartDelay();
-                        logger.info(`Waiting ${Math.round(delay/1000)} seconds before processing next contact...`);
-                        await new Promise(resolve => setTimeout(resolve, delay));
+                        await waitWithProgress(getSmartDelay(), 'delay');
                     }
                 } catch (err) {
-                    // Detect ban-related errors
-                    const errorMsg = err.message || 'Unknown error';
-                    const isBanRelated = 
-                        errorMsg.includes('not-authorized') || 
-                        errorMsg.includes('forbidden') ||
-                        errorMsg.includes('denied') ||
-                        errorMsg.includes('blocked') ||
-                        errorMsg.includes('spam') ||
-                        errorMsg.includes('limit') ||
-                        errorMsg.includes('banned');
+                    const classified = classifyAddError(err);
                     
-                    // Track consecutive failures
-                    safetyConfig.consecutiveFailures++;
+                    if (classified.countsAsFailure) {
+                        safetyConfig.consecutiveFailures++;
+                    }
                     
-                    // Get the formatted number for tracking (could be undefined if validation failed)
-                    const validation = validatePhoneNumber(numbers[i]);
-                    const formattedNumber = validation.isValid ? validation.formatted : `${numbers[i]}@c.us`;
+                    updateFailedNumber(validation.formatted, classified.message, classified.type, 'remove');
                     
-                    // Track this failed number
-                    updateFailedNumber(formattedNumber, errorMsg);
+                    logger.error(`Error removing ${numbers[i]} (${classified.type}): ${classified.message}`);
+                    recordOutcome(i, 'failed', classified.message, null, { errorType: classified.type });
                     
-                    logger.error(`Error processing ${numbers[i]}: ${errorMsg}`);
-                    results.details.push({
-                        number: numbers[i],
-                        status: 'failed',
-                        reason: errorMsg
-                    });
-                    results.failed++;
+                    if (classified.stopsBatch) {
+                        saveSessionStats();
+                        return Object.assign(results, {
+                            success: false,
+                            errorType: classified.type,
+                            message: `Stopped after ${classified.type} error: ${classified.message}`
+                        });
+                    }
                     
-                    // If ban-related error, take extra precautions
-                    if (isBanRelated) {
-                        logger.warning('Detected potential ban-related error. Taking protective measures.');
-                        
-                        // Take a longer break to avoid getting blocked
+                    if (classified.banRisk) {
                         const extraDelay = 300 + (Math.random() * 300); // 5-10 minute break
-                        logger.warning(`Taking an extended break of ${Math.ceil(extraDelay/60)} minutes for safety`);
-                        await new Promise(resolve => setTimeout(resolve, extraDelay * 1000));
+                        logger.warn(`Detected potential ban-related error. Taking an extended break of ${Math.ceil(extraDelay/60)} minutes for safety`);
+                        await waitWithProgress(extraDelay * 1000, 'ban-protection');
                         
-                        // If we get multiple ban-related errors, trip the circuit breaker
-                        if (safetyConfig.consecutiveFailures >= 3 && isBanRelated) {
+                        if (safetyConfig.consecutiveFailures >= 3) {
                             safetyConfig.circuitBreakerTripped = true;
                             const resetTime = new Date();
                             resetTime.setSeconds(resetTime.getSeconds() + safetyConfig.circuitBreakerTimeout);
                             safetyConfig.circuitBreakerResetTime = resetTime.toISOString();
                             
-                            logger.warning(`Emergency protection activated due to potential ban risk. Pausing for ${safetyConfig.circuitBreakerTimeout/60} minutes.`);
+                            logger.warn(`Emergency protection activated due to potential ban risk. Pausing for ${safetyConfig.circuitBreakerTimeout/60} minutes.`);
                             
-                            // Save the current state for later resumption
-                            saveSessionStats();
-                            
-                            // Return partial results with warning
-                            return {
-                                ...results,
-                                success: false,
-                                message: 'Operation paused due to potential ban risk. Will resume automatically after cooldown period.'
-                            };
+                            // This number already failed, so continue with the next one
+                            return stopForLimit(results, job, i + 1, 'Operation paused due to potential ban risk. Will resume automatically after cooldown period.');
                         }
                     }
                     
-                    // Take a longer break after each failure
-                    const failureDelay = Math.min(60 + (safetyConfig.consecutiveFailures * 30), 300); // 1-5 minutes
-                    logger.info(`Taking a ${failureDelay} second break after failure`);
-                    await new Promise(resolve => setTimeout(resolve, failureDelay * 1000));
+                    if (classified.countsAsFailure) {
+                        const failureDelay = Math.min(60 + (safetyConfig.consecutiveFailures * 30), 300); // 1-5 minutes
+                        logger.info(`Taking a ${failureDelay} second break after failure`);
+                        await waitWithProgress(failureDelay * 1000, 'failure-backoff');
+                    } else if (i < numbers.length - 1) {
+                        await waitWithProgress(getSmartDelay(), 'delay');
+                    }
                 }
                 
-                // Check if circuit breaker tripped during processing
                 if (checkCircuitBreaker()) {
-                    // Save progress and return partial results
-                    saveSessionStats();
-                    return {
-                        ...results,
-                        success: false,
-                        message: 'Operation paused due to too many consecutive failures. Will resume automatically after cooldown period.'
-                    };
+                    return stopForLimit(results, job, i + 1, 'Operation paused due to too many consecutive failures. Will resume automatically after cooldown period.');
                 }
             }
             
-            // Send a greeting message if specified and at least one member was added
-            if (message && results.added > 0) {
-                try {
-                    await client.sendMessage(groupId, message);
-                    logger.info(`Sent greeting message to group ${groupId}`);
-                } catch (err) {
-                    logger.error(`Error sending greeting message: ${err.message}`);
-                }
-            }
+            clearBatchData();
             
-            // Clean up batch data after successful completion
-            if (safetyConfig.currentBatch.length > 0 && safetyConfig.currentBatchIndex >= safetyConfig.currentBatch.length - 1) {
-                safetyConfig.currentBatch = [];
-                safetyConfig.currentBatchIndex = 0;
-                safetyConfig.lastGroupId = null;
-                
-                // Clear batch file
-                clearBatchData();
+            if (job) {
+                job.progress.index = numbers.length;
             }
             
-            // Log completion
-            logger.success(`Batch processing completed. Added: ${results.added}, Failed: ${results.failed}, Skipped: ${results.skipped}`);
+            logger.success(`Removal completed. Removed: ${results.removed}, Failed: ${results.failed}, Skipped: ${results.skipped} (not members: ${results.notMember}, protected admins: ${results.adminProtected})`);
             
             return results;
         } catch (err) {
-            logger.error(`Unexpected error in batch processing: ${err.message}`);
-            if (err.stack) {
-                logger.error(`Stack trace: ${err.stack}`);
-            }
+            logger.error(`Unexpected error in removal batch: ${err.message}`);
             
-            return { 
-                ...results, 
-                success: false, 
+            return Object.assign(results, {
+                success: false,
                 message: `Unexpected error: ${err.message}. Current progress saved for later resumption.`
-            };
+            });
         } finally {
             safetyConfig.isAddingMembers = false;
-            safetyConfig.userStatus = 'ready';
+            safetyConfig.userStatus = safetyConfig.batchPaused ? 'paused' : 'ready';
             saveSessionStats();
+            
+            emitProgress('job-finished', {
+                success: results.success,
+                paused: Boolean(results.paused),
+                cancelled: Boolean(results.cancelled),
+                message: results.message || null
+            });
+        }
+    }
+
+    /**
+     * Check whether the running batch has been asked to pause or cancel
+     * @returns {string|null} 'cancelled', 'paused' or null when the batch should continue
+     */
+    function getBatchInterruption() {
+        const safetyConfig = getSessionStats();
+        
+        if (safetyConfig.batchCancelRequested) return 'cancelled';
+        if (safetyConfig.batchPaused) return 'paused';
+        return null;
+    }
+
+    /**
+     * Wait for the given time, returning early if the batch is paused or cancelled
+     * @param {number} ms - Time to wait in milliseconds
+     * @returns {Promise<boolean>} Whether the wait was interrupted
+     */
+    async function interruptibleDelay(ms) {
+        const endTime = Date.now() + ms;
+        
+        while (Date.now() < endTime) {
+            if (getBatchInterruption()) return true;
+            await new Promise(resolve => setTimeout(resolve, Math.min(1000, endTime - Date.now())));
+        }
+        
+        return false;
+    }
+
+    /**
+     * Finish the current batch early because of a pause or cancel request
+     * @param {Object} results - Results collected so far
+     * @returns {Object} Partial results flagged with the interruption
+     */
+    function stopForInterruption(results) {
+        const interruption = getBatchInterruption();
+        saveSessionStats();
+        
+        if (interruption === 'cancelled') {
+            logger.warn(`Batch cancelled at ${results.batch.processed}/${results.batch.total}. Failed: ${results.failed}, Skipped: ${results.skipped}`);
+            return Object.assign(results, {
+                success: false,
+                cancelled: true,
+                message: 'Batch cancelled by user.'
+            });
+        }
+        
+        logger.warn(`Batch paused at ${results.batch.processed}/${results.batch.total}`);
+        return Object.assign(results, {
+            success: false,
+            paused: true,
+            message: 'Batch paused by user. Resume to continue from the next number.'
+        });
+    }
+
+    /**
+     * Stop a batch that a limit or the circuit breaker interrupted so the queue runs it again later
+     * @param {Object} results - Results collected so far
+     * @param {Object|null} job - Job being processed, if any
+     * @param {number} nextIndex - Index of the first number without an outcome
+     * @param {string} message - Why the batch stopped
+     * @param {Date} [retryAt] - When the limit resets; the queue waits until then
+     * @returns {Object} Results marked as resumable
+     */
+    function stopForLimit(results, job, nextIndex, message, retryAt = null) {
+        // Numbers before nextIndex already have an outcome and must not be processed twice
+        getSessionStats().currentBatchIndex = nextIndex;
+        if (job) {
+            job.progress.index = nextIndex;
         }
+        saveSessionStats();
+        
+        logger.warn(`Batch stopped at ${nextIndex}/${results.batch.total}: ${message}`);
+        return Object.assign(results, {
+            success: false,
+            resumable: true,
+            message,
+            ...(retryAt ? { retryAt: retryAt.toISOString() } : {})
+        });
     }
 
     /**
@@ -819,9 +2111,10 @@ function setupWhatsAppClient(io) {
      * @param {string} inviteLink - WhatsApp group invitation link
      * @param {Array<string>} numbers - Phone numbers to add
      * @param {string} message - Optional welcome message
+     * @param {Object} job - Optional queue job tracking progress and results
      * @returns {Promise<Object>} Result of addition operation
      */
-    async function processGroupInvitation(inviteLink, numbers, message = '') {
+    async function processGroupInvitation(inviteLink, numbers, message = '', job = null) {
         try {
             // Extract the invitation code from the link
             const inviteCode = extractInviteCode(inviteLink);
@@ -922,8 +2215,14 @@ function setupWhatsAppClient(io) {
                 const groupId = joinedGroup.id._serialized;
                 logger.success(`Successfully identified group "${joinedGroup.name}" with ID: ${groupId}`);
                 
+                // Remember the resolved group so a resumed job doesn't join again
+                if (job) {
+                    job.groupId = groupId;
+                    saveJobs(job);
+                }
+                
                 // Now that we have the group ID, add members to the group
-                return await addMembersToGroup(groupId, numbers, message);
+                return await addMembersToGroup(groupId, numbers, message, job);
                 
             } catch (err) {
                 logger.error(`Error processing group invitation: ${err.message}`);
@@ -941,29 +2240,176 @@ function setupWhatsAppClient(io) {
         }
     }
 
+    /**
+     * Validate a list against a group without adding anyone
+     * @param {string} groupIdOrLink - Group ID or invitation link
+     * @param {Array<string>} numbers - Phone numbers to check
+     * @param {Object} options - Dry run options
+     * @param {boolean} options.checkRegistration - Whether to check numbers are registered on WhatsApp
+     * @param {number} options.maxRegistrationChecks - Maximum numbers to check for registration
+     * @returns {Promise<Object>} Categorized report with an estimated duration
+     */
+    async function dryRunGroupAddition(groupIdOrLink, numbers, { checkRegistration = false, maxRegistrationChecks = 25 } = {}) {
+        const safetyConfig = getSessionStats();
+        const categories = {
+            eligible: [],
+            invalid: [],
+            duplicate: [],
+            suppressed: [],
+            noConsent: [],
+            alreadyMember: [],
+            notRegistered: []
+        };
+        const notes = [];
+        
+        // Look up current members once; only possible with a group ID we can read
+        let members = null;
+        if (isGroupId(groupIdOrLink)) {
+            try {
+                members = toMemberSet(await getGroupParticipants(groupIdOrLink));
+            } catch (err) {
+                logger.error(`Dry run could not read participants of ${groupIdOrLink}: ${err.message}`);
+                notes.push(`Membership not checked: ${err.message}`);
+            }
+        } else {
+            notes.push('Membership can only be checked with a group ID, not an invitation link');
+        }
+        
+        const seen = new Set();
+        for (const number of numbers) {
+            const validation = validatePhoneNumber(number);
+            if (!validation.isValid) {
+                categories.invalid.push({ number, reason: validation.reason });
+                continue;
+            }
+            
+            const digits = validation.formatted.replace('@c.us', '');
+            if (seen.has(digits)) {
+                categories.duplicate.push({ number, reason: 'Duplicate in list' });
+                continue;
+            }
+            seen.add(digits);
+            
+            if (isSuppressed(validation.e164)) {
+                categories.suppressed.push({ number, reason: 'suppressed' });
+            } else if (safetyConfig.requireConsent && !hasConsent(validation.e164, groupIdOrLink)) {
+                categories.noConsent.push({ number, reason: 'no consent' });
+            } else if (members && members.has(digits)) {
+                categories.alreadyMember.push({ number, reason: 'already a member' });
+            } else {
+                categories.eligible.push({ number, reason: 'would be added', digits });
+            }
+        }
+        
+        // Optional registration check, paced so it doesn't look like a scraping burst
+        let registrationChecked = 0;
+        if (checkRegistration) {
+            const toCheck = categories.eligible.slice(0, maxRegistrationChecks);
+            const unregistered = new Set();
+            
+            for (const entry of toCheck) {
+                try {
+                    if (!await client.isRegisteredUser(`${entry.digits}@c.us`)) {
+                        unregistered.add(entry);
+                        categories.notRegistered.push({ number: entry.number, reason: 'Number not registered on WhatsApp' });
+                    }
+                    registrationChecked++;
+                } catch (err) {
+                    logger.error(`Dry run registration check failed for ${entry.number}: ${err.message}`);
+                }
+                await new Promise(resolve => setTimeout(resolve, 300 + Math.floor(Math.random() * 400)));
+            }
+            
+            categories.eligible = categories.eligible.filter(entry => !unregistered.has(entry));
+            
+            if (registrationChecked < categories.eligible.length + unregistered.size) {
+                notes.push(`Registration checked for ${registrationChecked} numbers only (limit ${maxRegistrationChecks})`);
+            }
+        }
+        
+        // Every category lists { number, reason } entries keyed by the number as submitted
+        categories.eligible = categories.eligible.map(({ number, reason }) => ({ number, reason }));
+        
+        const summary = Object.fromEntries(
+            Object.entries(categories).map(([category, list]) => [category, list.length])
+        );
+        
+        logger.info(`Dry run for ${groupIdOrLink}: ${summary.eligible}/${numbers.length} numbers would be added`);
+        
+        return {
+            success: true,
+            groupId: groupIdOrLink,
+            total: numbers.length,
+            summary,
+            categories,
+            membershipChecked: members !== null,
+            registrationChecked,
+            estimate: estimateBatchDuration(summary.eligible),
+            notes
+        };
+    }
+
+    /**
+     * Work out who from a source group is missing in a target group
+     * The missing members go through the same checks as a dry run (suppression, consent),
+     * so the eligible numbers can be queued as a normal addition job.
+     * @param {string} sourceGroupId - Group to copy members from
+     * @param {string} targetGroupId - Group to add them to
+     * @returns {Promise<Object>} Copy plan with source/target details, dry run summary and eligible numbers
+     */
+    async function planGroupCopy(sourceGroupId, targetGroupId) {
+        const sourceChat = await getGroupChat(sourceGroupId);
+        const targetMembers = toMemberSet(await getGroupParticipants(targetGroupId));
+        const myNumber = client.info && client.info.wid ? client.info.wid.user : null;
+        
+        const sourceMembers = Array.from(toMemberSet(sourceChat.participants || []))
+            .filter(digits => digits !== myNumber);
+        const missing = sourceMembers.filter(digits => !targetMembers.has(digits));
+        
+        // Member IDs are country code + number, so mark them international for validation
+        const dryRun = await dryRunGroupAddition(targetGroupId, missing.map(digits => `+${digits}`));
+        
+        logger.info(`Copy plan ${sourceGroupId} -> ${targetGroupId}: ${missing.length} of ${sourceMembers.length} members missing, ${dryRun.summary.eligible} eligible`);
+        
+        return {
+            success: true,
+            sourceGroupId,
+            sourceName: sourceChat.name || '',
+            targetGroupId,
+            sourceCount: sourceMembers.length,
+            missingCount: missing.length,
+            summary: dryRun.summary,
+            categories: dryRun.categories,
+            numbers: dryRun.categories.eligible.map(entry => entry.number),
+            estimate: dryRun.estimate,
+            notes: dryRun.notes
+        };
+    }
+
     /**
      * Handle both group IDs and invitation links
      * @param {string} groupIdOrLink - Group ID or invitation link
      * @param {Array<string>} numbers - Phone numbers to add
      * @param {string} message - Optional welcome message
+     * @param {Object} job - Optional queue job tracking progress and results
      * @returns {Promise<Object>} Result of addition operation
      */
-    async function processGroupAddition(groupIdOrLink, numbers, message = '') {
+    async function processGroupAddition(groupIdOrLink, numbers, message = '', job = null) {
         // Check if this is an invitation link or a group ID
         if (isInvitationLink(groupIdOrLink)) {
             logger.info(`Detected invitation link: ${groupIdOrLink}`);
-            return await processGroupInvitation(groupIdOrLink, numbers, message);
+            return await processGroupInvitation(groupIdOrLink, numbers, message, job);
         } else if (isGroupId(groupIdOrLink)) {
             logger.info(`Detected group ID: ${groupIdOrLink}`);
-            return await addMembersToGroup(groupIdOrLink, numbers, message);
+            return await addMembersToGroup(groupIdOrLink, numbers, message, job);
         } else {
             // Try to guess the format and handle accordingly
             if (groupIdOrLink.includes('chat.whatsapp.com')) {
                 logger.info(`Treating as invitation link: ${groupIdOrLink}`);
-                return await processGroupInvitation(groupIdOrLink, numbers, message);
+                return await processGroupInvitation(groupIdOrLink, numbers, message, job);
             } else {
                 logger.info(`Treating as group ID: ${groupIdOrLink}`);
-                return await addMembersToGroup(groupIdOrLink, numbers, message);
+                return await addMembersToGroup(groupIdOrLink, numbers, message, job);
             }
         }
     }
@@ -975,6 +2421,29 @@ function setupWhatsAppClient(io) {
         return safetyConfig.hourlyAdditionCounts[currentHour] >= safetyConfig.hourlyLimit;
     }
 
+    /**
+     * Get the time at which a limit lifts, so a stopped job can be retried then
+     * @param {string} limit - 'hourly', 'daily' or 'protection'
+     * @returns {Date} Reset time, a few seconds after the limit lifts
+     */
+    function getLimitResetTime(limit) {
+        const safetyConfig = getSessionStats();
+        const now = new Date();
+        
+        if (limit === 'protection') {
+            return new Date(safetyConfig.circuitBreakerResetTime || now);
+        }
+        
+        const resetTime = new Date(now);
+        if (limit === 'daily') {
+            resetTime.setDate(now.getDate() + 1);
+            resetTime.setHours(0, 0, 5, 0);
+        } else {
+            resetTime.setHours(now.getHours() + 1, 0, 5, 0);
+        }
+        return resetTime;
+    }
+
     // Update hourly count when a member is added
     function updateHourlyCount() {
         const safetyConfig = getSessionStats();
@@ -1004,7 +2473,7 @@ function setupWhatsAppClient(io) {
             resetTime.setSeconds(resetTime.getSeconds() + safetyConfig.circuitBreakerTimeout);
             safetyConfig.circuitBreakerResetTime = resetTime.toISOString();
             
-            logger.warning(`Circuit breaker tripped due to ${safetyConfig.consecutiveFailures} consecutive failures. Pausing for ${safetyConfig.circuitBreakerTimeout/60} minutes.`);
+            logger.warn(`Circuit breaker tripped due to ${safetyConfig.consecutiveFailures} consecutive failures. Pausing for ${safetyConfig.circuitBreakerTimeout/60} minutes.`);
             saveSessionStats();
             return true;
         }
@@ -1022,8 +2491,8 @@ function setupWhatsAppClient(io) {
         saveSessionStats();
     }
 
-    // Track failed number with details
-    function updateFailedNumber(formattedNumber, reason) {
+    // Track failed number with details; operation tells additions and removals apart
+    function updateFailedNumber(formattedNumber, reason, errorType = ADD_ERROR_TYPES.UNKNOWN, operation = 'add') {
         const safetyConfig = getSessionStats();
         const now = new Date().toISOString();
         
@@ -1032,30 +2501,21 @@ function setupWhatsAppClient(io) {
             record.count++;
             record.lastFailure = now;
             record.reason = reason;
+            record.errorType = errorType;
+            record.operation = operation;
             safetyConfig.failedNumbers.set(formattedNumber, record);
         } else {
             safetyConfig.failedNumbers.set(formattedNumber, {
                 count: 1,
                 firstFailure: now,
                 lastFailure: now,
-                reason: reason
+                reason: reason,
+                errorType,
+                operation
             });
         }
         
-        saveSessionStats();
-    }
-
-    // Clear all batch data
-    function clearBatchData() {
-        const batchesFile = path.join(process.cwd(), 'data', 'batches.json');
-        if (fs.existsSync(batchesFile)) {
-            try {
-                fs.unlinkSync(batchesFile);
-                logger.info('Batch data cleared');
-            } catch (err) {
-                logger.error(`Error clearing batch data: ${err.message}`);
-            }
-        }
+        saveFailedNumber(formattedNumber);
     }
 
     // Initialize the client
@@ -1066,7 +2526,21 @@ function setupWhatsAppClient(io) {
         ...client,
         attemptReconnect,
         processGroupAddition,
+        removeMembersFromGroup,
+        dryRunGroupAddition,
+        planGroupCopy,
+        getGroupParticipants,
+        listGroups,
+        listGroupParticipants,
+        createGroupWithMembers,
+        checkGroup,
+        updateGroupAdmins,
+        updateGroupSettings,
+        manageGroups,
+        estimateBatchDuration,
         isAddingMembers: () => getSessionStats().isAddingMembers,
+        isReady: () => isClientReady,
+        onReady: (listener) => client.on('ready', listener),
         resetCircuitBreaker,
         validatePhoneNumber,
         isInvitationLink,
@@ -0,0 +1,42 @@
+/**
+ * CSV Utility
+ * Builds CSV text for exports
+ */
+
+// Spreadsheets run cells starting with these characters as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Escape a value for a CSV cell
+ * Text that a spreadsheet would run as a formula, such as a push name chosen by a participant,
+ * is prefixed with a quote so it shows as text.
+ * @param {*} value - Cell value
+ * @returns {string} Quoted value when it contains separators, quotes or line breaks
+ */
+function escapeCsvValue(value) {
+    if (value === undefined || value === null) return '';
+    
+    const text = typeof value === 'string' && FORMULA_PREFIX.test(value) ? `'${value}` : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build a CSV document from rows
+ * @param {Array<string>} columns - Column keys, used as the header row
+ * @param {Array<Object>} rows - Rows keyed by column
+ * @returns {string} CSV text
+ */
+function toCsv(columns, rows) {
+    const lines = [columns.map(escapeCsvValue).join(',')];
+    
+    rows.forEach(row => {
+        lines.push(columns.map(column => escapeCsvValue(row[column])).join(','));
+    });
+    
+    return lines.join('\n') + '\n';
+}
+
+module.exports = {
+    escapeCsvValue,
+    toCsv
+};
@@ -0,0 +1,100 @@
+/**
+ * Error Classifier Utility
+ * Sorts errors from adding members into a fixed set of types, each with a handling policy
+ */
+
+// Error types reported in job results, failed-numbers.json and the API
+const ADD_ERROR_TYPES = {
+    INVALID_NUMBER: 'invalid-number',
+    NOT_REGISTERED: 'not-registered',
+    PRIVACY_RESTRICTED: 'privacy-restricted',
+    ALREADY_MEMBER: 'already-member',
+    GROUP_FULL: 'group-full',
+    NOT_ADMIN: 'not-admin',
+    RATE_LIMITED: 'rate-limited',
+    SESSION_LOST: 'session-lost',
+    UNKNOWN: 'unknown'
+};
+
+/*
+ * How each type is handled:
+ * - retryable: trying the same number again may work
+ * - countsAsFailure: counts towards the consecutive failures of the circuit breaker
+ * - banRisk: WhatsApp is pushing back, take an extended break
+ * - stopsBatch: every following number would fail the same way
+ */
+const ERROR_POLICIES = {
+    [ADD_ERROR_TYPES.INVALID_NUMBER]: { retryable: false, countsAsFailure: false, banRisk: false, stopsBatch: false },
+    [ADD_ERROR_TYPES.NOT_REGISTERED]: { retryable: false, countsAsFailure: false, banRisk: false, stopsBatch: false },
+    [ADD_ERROR_TYPES.PRIVACY_RESTRICTED]: { retryable: false, countsAsFailure: false, banRisk: false, stopsBatch: false },
+    [ADD_ERROR_TYPES.ALREADY_MEMBER]: { retryable: false, countsAsFailure: false, banRisk: false, stopsBatch: false },
+    [ADD_ERROR_TYPES.GROUP_FULL]: { retryable: false, countsAsFailure: false, banRisk: false, stopsBatch: true },
+    [ADD_ERROR_TYPES.NOT_ADMIN]: { retryable: false, countsAsFailure: false, banRisk: false, stopsBatch: true },
+    [ADD_ERROR_TYPES.RATE_LIMITED]: { retryable: false, countsAsFailure: true, banRisk: true, stopsBatch: false },
+    [ADD_ERROR_TYPES.SESSION_LOST]: { retryable: true, countsAsFailure: true, banRisk: false, stopsBatch: false },
+    [ADD_ERROR_TYPES.UNKNOWN]: { retryable: true, countsAsFailure: true, banRisk: false, stopsBatch: false }
+};
+
+// Per-participant status codes returned by addParticipants
+const STATUS_CODE_TYPES = {
+    400: ADD_ERROR_TYPES.INVALID_NUMBER,
+    401: ADD_ERROR_TYPES.NOT_ADMIN,
+    403: ADD_ERROR_TYPES.PRIVACY_RESTRICTED,
+    404: ADD_ERROR_TYPES.NOT_REGISTERED,
+    408: ADD_ERROR_TYPES.PRIVACY_RESTRICTED, // Recently left; can only rejoin by invite
+    409: ADD_ERROR_TYPES.ALREADY_MEMBER,
+    419: ADD_ERROR_TYPES.GROUP_FULL,
+    429: ADD_ERROR_TYPES.RATE_LIMITED
+};
+
+// Message patterns for errors that don't carry a status code, checked in order;
+// per-number rejections come before rate limits so they never trigger ban protection
+const MESSAGE_PATTERNS = [
+    [ADD_ERROR_TYPES.SESSION_LOST, /execution context was destroyed|session closed|target closed|page has been closed|protocol error|not connected/i],
+    [ADD_ERROR_TYPES.NOT_REGISTERED, /not registered/i],
+    [ADD_ERROR_TYPES.PRIVACY_RESTRICTED, /privacy/i],
+    [ADD_ERROR_TYPES.RATE_LIMITED, /rate.?overlimit|too many|rate.?limit|\b429\b|banned/i],
+    [ADD_ERROR_TYPES.INVALID_NUMBER, /invalid (length|phone|number)|too short|too long|not a phone number|unknown country/i],
+    [ADD_ERROR_TYPES.ALREADY_MEMBER, /already (a )?(member|participant|in (the )?group)/i],
+    [ADD_ERROR_TYPES.GROUP_FULL, /group (is )?full|participant limit|size limit/i],
+    [ADD_ERROR_TYPES.NOT_ADMIN, /not.?(an )?admin|not-authorized|forbidden/i]
+];
+
+/**
+ * Create an error that already carries its type
+ * @param {string} type - One of ADD_ERROR_TYPES
+ * @param {string} message - Error message
+ * @returns {Error} Error with errorType set
+ */
+function createAddError(type, message) {
+    const err = new Error(message);
+    err.errorType = type;
+    return err;
+}
+
+/**
+ * Classify an error from adding a member
+ * @param {Error} err - Error thrown while validating, checking or adding a number
+ * @returns {Object} Error type, message and handling policy (retryable, countsAsFailure, banRisk, stopsBatch)
+ */
+function classifyAddError(err) {
+    const message = (err && err.message) || 'Unknown error';
+    let type = err && err.errorType;
+    
+    if (!type && err && err.addStatusCode) {
+        type = STATUS_CODE_TYPES[err.addStatusCode];
+    }
+    
+    if (!type) {
+        const match = MESSAGE_PATTERNS.find(([, pattern]) => pattern.test(message));
+        type = match ? match[0] : ADD_ERROR_TYPES.UNKNOWN;
+    }
+    
+    return { type, message, ...ERROR_POLICIES[type] };
+}
+
+module.exports = {
+    ADD_ERROR_TYPES,
+    createAddError,
+    classifyAddError
+};
@@ -0,0 +1,129 @@
+/**
+ * Phone Number Utility
+ * Normalises phone numbers to E.164 so local and international formats match
+ */
+
+const {
+    parsePhoneNumberFromString,
+    validatePhoneNumberLength,
+    isSupportedCountry
+} = require('libphonenumber-js');
+const metadata = require('libphonenumber-js/metadata.min.json');
+
+// Reason given for national numbers when no default region is set
+const NO_COUNTRY_CODE = 'Number has no country code. Use +<country code> or set a default region.';
+
+// Human readable reasons for libphonenumber length errors
+const LENGTH_ERRORS = {
+    NOT_A_NUMBER: 'Not a phone number',
+    INVALID_COUNTRY: 'Unknown country code. Use +<country code> or set a default region.',
+    TOO_SHORT: 'Too short for',
+    TOO_LONG: 'Too long for',
+    INVALID_LENGTH: 'Invalid length for'
+};
+
+/**
+ * Normalise a phone number to E.164
+ * Handles +/00 international prefixes and strips the trunk prefix (leading 0)
+ * of national numbers when a default region is given. Without a default region,
+ * numbers must start with their country code.
+ * @param {string|number} input - Phone number as entered
+ * @param {string} defaultRegion - ISO 3166-1 alpha-2 region for national numbers (e.g. 'IN', 'NL')
+ * @returns {Object} Result containing isValid, reason, e164 and digits
+ */
+function normalizePhoneNumber(input, defaultRegion = '') {
+    const raw = String(input === undefined || input === null ? '' : input).trim();
+    const region = (defaultRegion || '').toUpperCase() || undefined;
+    
+    if (!raw || !/\d/.test(raw)) {
+        return { isValid: false, reason: 'Empty or non-numeric value', e164: null, digits: null };
+    }
+    
+    // Convert the 00 international prefix to + so it's parsed as a country code
+    let candidate = raw.replace(/^\s*00/, '+');
+    
+    // Without a region, digits-only input is taken as country code + number;
+    // national formatting such as (555) 123-4567 has no country code to take
+    const inferCountryCode = !candidate.startsWith('+') && !region;
+    if (inferCountryCode) {
+        if (/[()]/.test(candidate)) {
+            return { isValid: false, reason: NO_COUNTRY_CODE, e164: null, digits: null };
+        }
+        candidate = `+${candidate.replace(/\D/g, '')}`;
+    }
+    
+    const lengthError = validatePhoneNumberLength(candidate, region);
+    const parsed = parsePhoneNumberFromString(candidate, region);
+    
+    // A guessed country code must give a real number, not just one of a possible length
+    if (inferCountryCode && !lengthError && parsed && parsed.isPossible() && !parsed.isValid()) {
+        return { isValid: false, reason: NO_COUNTRY_CODE, e164: null, digits: null };
+    }
+    
+    if (lengthError || !parsed || !parsed.isPossible()) {
+        const reason = LENGTH_ERRORS[lengthError] || 'Invalid phone number';
+        const country = parsed ? (parsed.country || `+${parsed.countryCallingCode}`) : region;
+        const suffix = ['TOO_SHORT', 'TOO_LONG', 'INVALID_LENGTH'].includes(lengthError) ? ` ${country || 'this country'}` : '';
+        
+        return { isValid: false, reason: `${reason}${suffix}`, e164: null, digits: null };
+    }
+    
+    return {
+        isValid: true,
+        reason: 'Valid number',
+        e164: parsed.number,
+        digits: parsed.number.slice(1),
+        country: parsed.country || null
+    };
+}
+
+/**
+ * Get the lookup key for a phone number, falling back to its digits when it can't be parsed
+ * @param {string|number} input - Phone number as entered
+ * @param {string} defaultRegion - Default region for national numbers
+ * @returns {string} Digits of the E.164 number
+ */
+function toNumberKey(input, defaultRegion = '') {
+    const result = normalizePhoneNumber(input, defaultRegion);
+    return result.isValid ? result.digits : String(input).replace(/\D/g, '');
+}
+
+/**
+ * Check whether a region can be used as the default for national numbers
+ * @param {string} region - ISO 3166-1 alpha-2 region code
+ * @returns {boolean} Whether the region is supported
+ */
+function isSupportedRegion(region) {
+    return typeof region === 'string' && isSupportedCountry(region.toUpperCase());
+}
+
+/**
+ * Turn a country column value into a region code
+ * Accepts ISO codes ('NL') and calling codes ('31', '+31'); a shared calling code
+ * resolves to its main region (e.g. 1 to US).
+ * @param {string} value - Country value from an import file
+ * @returns {string|null} ISO region code or null if it can't be resolved
+ */
+function resolveRegion(value) {
+    const country = String(value || '').trim();
+    if (!country) return null;
+    
+    if (isSupportedRegion(country)) {
+        return country.toUpperCase();
+    }
+    
+    const callingCode = country.replace(/^\+|^00/, '');
+    if (/^\d{1,3}$/.test(callingCode)) {
+        const regions = metadata.country_calling_codes[callingCode];
+        return regions ? regions[0] : null;
+    }
+    
+    return null;
+}
+
+module.exports = {
+    normalizePhoneNumber,
+    toNumberKey,
+    isSupportedRegion,
+    resolveRegion
+};
@@ -0,0 +1,130 @@
+/**
+ * Report Utility
+ * Builds downloadable per-number reports for finished and running jobs
+ */
+
+const { toCsv } = require('./csv');
+
+const REPORT_FORMATS = ['csv', 'json', 'html'];
+
+// One row per number (or group ID for manage-groups jobs)
+const REPORT_COLUMNS = ['item', 'name', 'status', 'category', 'reason', 'errorType'];
+
+// Summary fields shown above the rows in HTML reports
+const SUMMARY_FIELDS = [
+    ['Job', 'id'],
+    ['Type', 'type'],
+    ['Group', 'groupName'],
+    ['Group ID', 'groupId'],
+    ['Status', 'status'],
+    ['Started by', 'startedBy'],
+    ['Created', 'createdAt'],
+    ['Started', 'startedAt'],
+    ['Finished', 'finishedAt'],
+    ['Total', 'total'],
+    ['Processed', 'processed'],
+    ['Added', 'added'],
+    ['Removed', 'removed'],
+    ['Updated', 'updated'],
+    ['Failed', 'failed'],
+    ['Skipped', 'skipped']
+];
+
+/**
+ * Turn the per-number outcomes of a job into report rows
+ * @param {Array<Object>} details - Outcomes from job.results.details
+ * @returns {Array<Object>} Rows keyed by REPORT_COLUMNS
+ */
+function getReportRows(details = []) {
+    return details.map(detail => ({
+        item: detail.number || detail.groupId,
+        name: detail.contact ? detail.contact.name || null : null,
+        status: detail.status,
+        category: detail.category || null,
+        reason: detail.reason || null,
+        errorType: detail.errorType || null
+    }));
+}
+
+/**
+ * Escape text for use in HTML
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text; empty for null and undefined
+ */
+function escapeHtml(value) {
+    if (value === undefined || value === null) return '';
+    
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Build a CSV report
+ * @param {Array<Object>} rows - Report rows
+ * @returns {string} CSV text
+ */
+function toCsvReport(rows) {
+    return toCsv(REPORT_COLUMNS, rows);
+}
+
+/**
+ * Build a standalone HTML report that can be opened or printed without the app
+ * @param {Object} summary - Job summary from summarizeJob
+ * @param {Array<Object>} rows - Report rows
+ * @returns {string} HTML document
+ */
+function toHtmlReport(summary, rows) {
+    const title = `Job report ${summary.groupName || summary.groupId || summary.id}`;
+    
+    const summaryRows = SUMMARY_FIELDS
+        .filter(([, key]) => summary[key] !== undefined && summary[key] !== null)
+        .map(([label, key]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(summary[key])}</td></tr>`)
+        .join('\n');
+    
+    const header = REPORT_COLUMNS.map(column => `<th>${escapeHtml(column)}</th>`).join('');
+    const body = rows
+        .map(row => `<tr class="${escapeHtml(row.status)}">${REPORT_COLUMNS.map(column => `<td>${escapeHtml(row[column])}</td>`).join('')}</tr>`)
+        .join('\n');
+    
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(title)}</title>
+<style>
+    body { font-family: sans-serif; margin: 2rem; color: #212529; }
+    table { border-collapse: collapse; margin-bottom: 2rem; }
+    th, td { border: 1px solid #dee2e6; padding: 0.3rem 0.6rem; text-align: left; font-size: 0.9rem; }
+    th { background: #f8f9fa; }
+    tr.failed td { background: #f8d7da; }
+    tr.skipped td { background: #fff3cd; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<table>
+${summaryRows}
+</table>
+<table>
+<thead><tr>${header}</tr></thead>
+<tbody>
+${body}
+</tbody>
+</table>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+    REPORT_FORMATS,
+    REPORT_COLUMNS,
+    getReportRows,
+    escapeHtml,
+    toCsvReport,
+    toHtmlReport
+};
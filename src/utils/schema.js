@@ -0,0 +1,81 @@
+/**
+ * Schema Utility
+ * Checks data read from disk against a small JSON-schema-like description
+ */
+
+/**
+ * Get the schema type of a value
+ * @param {*} value - Value to check
+ * @returns {string} 'null', 'array', 'integer', 'number', 'string', 'boolean' or 'object'
+ */
+function getType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+/**
+ * Validate a value against a schema
+ * Schemas support type ('object', 'array', 'string', 'number', 'integer', 'boolean'), nullable,
+ * minimum, properties with required keys for objects, and items or tuple (one schema per position) for arrays.
+ * @param {*} value - Value to validate
+ * @param {Object} schema - Schema description
+ * @param {string} [path='data'] - Path of the value, used in error messages
+ * @returns {Array<string>} Validation errors; empty when the value is valid
+ */
+function validateSchema(value, schema, path = 'data') {
+    const type = getType(value);
+    
+    if (type === 'null') {
+        return schema.nullable ? [] : [`${path} must not be null`];
+    }
+    
+    const matchesType = schema.type === type
+        || (schema.type === 'number' && type === 'integer');
+    if (!matchesType) {
+        return [`${path} must be ${schema.type === 'integer' ? 'an' : 'a'} ${schema.type}, got ${type}`];
+    }
+    
+    const errors = [];
+    
+    if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push(`${path} must be at least ${schema.minimum}`);
+    }
+    
+    if (type === 'object') {
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) {
+                errors.push(`${path}.${key} is required`);
+            }
+        });
+        
+        Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+            if (value[key] !== undefined) {
+                errors.push(...validateSchema(value[key], propertySchema, `${path}.${key}`));
+            }
+        });
+    }
+    
+    if (type === 'array' && schema.tuple) {
+        if (value.length !== schema.tuple.length) {
+            errors.push(`${path} must have ${schema.tuple.length} items`);
+        } else {
+            schema.tuple.forEach((itemSchema, index) => {
+                errors.push(...validateSchema(value[index], itemSchema, `${path}[${index}]`));
+            });
+        }
+    }
+    
+    if (type === 'array' && schema.items) {
+        value.forEach((item, index) => {
+            errors.push(...validateSchema(item, schema.items, `${path}[${index}]`));
+        });
+    }
+    
+    return errors;
+}
+
+module.exports = {
+    validateSchema
+};
@@ -0,0 +1,95 @@
+/**
+ * Message Template Utility
+ * Validates and renders welcome message templates such as "Welcome {{name}} to {{groupName}}!"
+ */
+
+// Matches {{ variable }} placeholders; column names from imports may contain spaces
+const PLACEHOLDER_PATTERN = /{{\s*([^{}]+?)\s*}}/g;
+
+// Variables always available: per-member values are joined when one message welcomes several members
+const MEMBER_VARIABLES = ['name', 'number', 'country'];
+const GROUP_VARIABLES = ['groupName', 'count', 'mentions'];
+
+/**
+ * Get the variable names used in a template
+ * @param {string} template - Message template
+ * @returns {Array<string>} Variable names in order of appearance
+ */
+function getTemplateVariables(template) {
+    return Array.from(String(template).matchAll(PLACEHOLDER_PATTERN), match => match[1]);
+}
+
+/**
+ * Collect the extra column names of imported contacts
+ * @param {Array<Object>} contacts - Contacts with optional extra fields
+ * @returns {Array<string>} Distinct field names
+ */
+function getContactFieldNames(contacts = []) {
+    const names = new Set();
+    
+    contacts.forEach(contact => {
+        Object.keys((contact && contact.fields) || {}).forEach(field => names.add(field));
+    });
+    
+    return Array.from(names);
+}
+
+/**
+ * Check a template for unknown variables and unbalanced braces
+ * @param {string} template - Message template
+ * @param {Array<string>} fieldNames - Extra variables available from imported columns
+ * @param {Array<string>} extraVariables - Variables specific to this kind of message (e.g. inviteLink)
+ * @returns {Object} Validation result containing isValid and reason
+ */
+function validateTemplate(template, fieldNames = [], extraVariables = []) {
+    const leftover = String(template).replace(PLACEHOLDER_PATTERN, '');
+    if (leftover.includes('{{') || leftover.includes('}}')) {
+        return { isValid: false, reason: 'Template has an unclosed or empty {{ }} placeholder' };
+    }
+    
+    const known = [...MEMBER_VARIABLES, ...GROUP_VARIABLES, ...extraVariables, ...fieldNames];
+    const unknown = getTemplateVariables(template).filter(variable => !known.includes(variable));
+    
+    if (unknown.length > 0) {
+        return {
+            isValid: false,
+            reason: `Unknown template variable(s): ${unknown.map(v => `{{${v}}}`).join(', ')}. Available: ${known.join(', ')}`
+        };
+    }
+    
+    return { isValid: true, reason: 'Valid template' };
+}
+
+/**
+ * Render a welcome message for one or more new members
+ * @param {string} template - Message template
+ * @param {Object} group - Group values (groupName, plus extras such as inviteLink)
+ * @param {Array<Object>} members - New members with number, name, country and fields
+ * @returns {string} Rendered message
+ */
+function renderTemplate(template, group, members) {
+    const join = (values) => Array.from(new Set(values.filter(Boolean))).join(', ');
+    
+    const variables = {
+        ...group,
+        groupName: group.groupName || '',
+        count: String(members.length),
+        mentions: members.map(member => `@${member.number}`).join(' ')
+    };
+    
+    MEMBER_VARIABLES.forEach(variable => {
+        variables[variable] = join(members.map(member => member[variable]));
+    });
+    
+    return String(template).replace(PLACEHOLDER_PATTERN, (placeholder, variable) => {
+        if (variables[variable] !== undefined) return variables[variable];
+        return join(members.map(member => (member.fields || {})[variable]));
+    });
+}
+
+module.exports = {
+    getTemplateVariables,
+    getContactFieldNames,
+    validateTemplate,
+    renderTemplate
+};